@@ -0,0 +1,123 @@
+// Fields each role may set through create and update endpoints, per
+// resource. Anything else on the model is either managed by the server
+// (ownership, counters, security state) or has its own endpoint, named in
+// the hints so clients get a useful error.
+
+const JOB_FIELDS = [
+  'title',
+  'company',
+  'description',
+  'requirements',
+  'responsibilities',
+  'skills',
+  'location',
+  'type',
+  'category',
+  'experience',
+  'salary',
+  'benefits',
+  'applicationDeadline',
+  'publishAt',
+  'priority',
+  'remote',
+  'tags',
+  'screeningQuestions',
+  'requisition'
+];
+
+const USER_PROFILE_FIELDS = [
+  'firstName',
+  'lastName',
+  'email',
+  'phone',
+  'role',
+  'isEmailVerified',
+  'skills',
+  'experience',
+  'education',
+  'company',
+  'companySize',
+  'industry'
+];
+
+const FIELD_ACCESS = {
+  'job:create': {
+    model: 'Job',
+    roles: {
+      // New postings may start as drafts
+      recruiter: [...JOB_FIELDS, 'status'],
+      admin: [...JOB_FIELDS, 'status', 'featured']
+    }
+  },
+  'job:update': {
+    model: 'Job',
+    roles: {
+      recruiter: JOB_FIELDS,
+      admin: [...JOB_FIELDS, 'featured']
+    }
+  },
+  'user:update': {
+    model: 'User',
+    roles: {
+      admin: USER_PROFILE_FIELDS
+    }
+  },
+  'requisition:create': {
+    model: 'Requisition',
+    roles: {
+      recruiter: ['title', 'department', 'headcount', 'justification', 'salaryBand'],
+      admin: ['title', 'department', 'headcount', 'justification', 'salaryBand']
+    }
+  },
+  'application:update': {
+    model: 'Application',
+    roles: {
+      applicant: ['coverLetter'],
+      recruiter: ['rejectionReason'],
+      admin: ['coverLetter', 'rejectionReason']
+    }
+  }
+};
+
+const FIELD_HINTS = {
+  Job: {
+    status: 'use PATCH /api/jobs/:id/status',
+    featured: 'only admins can feature jobs',
+    postedBy: 'it is set from the account that posts the job',
+    companyId: 'it is set from the poster\'s company',
+    applicationsCount: 'it is maintained by the server',
+    viewsCount: 'it is maintained by the server',
+    timeline: 'it is recorded on every status change',
+    deadlineReminderSentAt: 'it is maintained by the job scheduler',
+    moderation: 'it is set by the moderation review',
+    revision: 'use POST /api/jobs/:id/revisions/:revision/restore to bring back an earlier version'
+  },
+  User: {
+    password: 'users change it through /api/auth/password or a reset link',
+    isActive: 'use DELETE /api/users/:id or PATCH /api/users/:id/reactivate',
+    permissions: 'use /api/users/:id/permissions',
+    recruiterStatus: 'use /api/users/:id/approve-recruiter or /reject-recruiter',
+    companyId: 'use /api/companies/:id/members',
+    companyRole: 'use /api/companies/:id/members'
+  },
+  Requisition: {
+    status: 'use the approve, reject and cancel endpoints',
+    approvalSteps: 'they are copied from the company\'s approval chain',
+    requestedBy: 'it is set from the account that creates the requisition',
+    companyId: 'it is set from the requester\'s company'
+  },
+  Application: {
+    status: 'use PATCH /api/applications/:id/status',
+    notes: 'use POST /api/applications/:id/notes',
+    rating: 'use POST /api/applications/:id/rating',
+    applicant: 'it is set when the application is submitted',
+    job: 'it is set when the application is submitted',
+    jobRevision: 'it is set when the application is submitted'
+  }
+};
+
+module.exports = {
+  JOB_FIELDS,
+  FIELD_ACCESS,
+  FIELD_HINTS
+};
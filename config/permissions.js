@@ -0,0 +1,38 @@
+// Admin permissions stored in User.permissions
+const PERMISSIONS = [
+  'manage_users',
+  'manage_jobs',
+  'manage_applications',
+  'view_analytics'
+];
+
+// Scopes that can be granted to an API key. `read` covers GET requests,
+// `write` everything else.
+const API_KEY_SCOPES = [
+  'jobs:read',
+  'jobs:write',
+  'applications:read',
+  'applications:write',
+  'interviews:read',
+  'interviews:write',
+  'analytics:read',
+  'users:read',
+  'users:write'
+];
+
+// Scopes available to keys issued by a company rather than an admin
+const COMPANY_API_KEY_SCOPES = [
+  'jobs:read',
+  'jobs:write',
+  'applications:read',
+  'applications:write',
+  'interviews:read',
+  'interviews:write',
+  'analytics:read'
+];
+
+module.exports = {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  COMPANY_API_KEY_SCOPES
+};
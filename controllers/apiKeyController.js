@@ -0,0 +1,208 @@
+const ApiKey = require('../models/ApiKey');
+const recordAudit = require('../utils/audit');
+const { API_KEY_SCOPES, COMPANY_API_KEY_SCOPES } = require('../config/permissions');
+
+// Admins manage every key, company owners the keys of their company
+const canManageKey = (user, apiKey) => {
+  if (user.role === 'admin') return true;
+  return !!apiKey.company && user.isCompanyMember(apiKey.company, 'owner');
+};
+
+// Keys are never returned with their hash, and the raw key only once on creation
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  company: apiKey.company,
+  createdBy: apiKey.createdBy,
+  expiresAt: apiKey.expiresAt,
+  rateLimit: apiKey.rateLimit,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+  revokedBy: apiKey.revokedBy,
+  isActive: apiKey.isActive(),
+  createdAt: apiKey.createdAt
+});
+
+// @desc    Issue API key
+// @route   POST /api/api-keys
+// @access  Private/Admin or Company owner
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt, rateLimit } = req.body;
+    const isAdmin = req.user.role === 'admin';
+
+    if (!isAdmin && req.user.companyRole !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only company owners can issue API keys'
+      });
+    }
+
+    const allowedScopes = isAdmin ? API_KEY_SCOPES : COMPANY_API_KEY_SCOPES;
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide at least one scope'
+      });
+    }
+
+    const invalidScopes = scopes.filter(scope => !allowedScopes.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scopes: ${invalidScopes.join(', ')}`,
+        allowedScopes
+      });
+    }
+
+    if (expiresAt && !(new Date(expiresAt) > new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be in the future'
+      });
+    }
+
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+
+    const apiKey = await ApiKey.create({
+      name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      company: isAdmin ? null : req.user.companyId,
+      createdBy: req.user._id,
+      expiresAt: expiresAt || null,
+      // Only admins can raise or lower a key's limit
+      ...(isAdmin && rateLimit && { rateLimit })
+    });
+
+    await recordAudit({
+      action: 'api_key.created',
+      req,
+      metadata: { apiKey: apiKey._id, prefix, scopes: apiKey.scopes, company: apiKey.company }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Store this key now, it will not be shown again',
+      data: {
+        ...formatApiKey(apiKey),
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get API keys
+// @route   GET /api/api-keys
+// @access  Private/Admin or Company owner
+const getApiKeys = async (req, res, next) => {
+  try {
+    const query = {};
+
+    if (req.user.role === 'admin') {
+      if (req.query.company) query.company = req.query.company;
+    } else if (req.user.companyRole === 'owner') {
+      query.company = req.user.companyId;
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: 'Only company owners can manage API keys'
+      });
+    }
+
+    if (req.query.includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('company', 'name slug')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys.map(formatApiKey)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single API key
+// @route   GET /api/api-keys/:id
+// @access  Private/Admin or Company owner
+const getApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('revokedBy', 'firstName lastName email');
+
+    if (!apiKey || !canManageKey(req.user, apiKey)) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private/Admin or Company owner
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey || !canManageKey(req.user, apiKey)) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key is already revoked'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    await recordAudit({
+      action: 'api_key.revoked',
+      req,
+      metadata: { apiKey: apiKey._id, prefix: apiKey.prefix, company: apiKey.company }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  getApiKey,
+  revokeApiKey
+};
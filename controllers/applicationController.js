@@ -1,5 +1,9 @@
 const Application = require('../models/Application');
 const Job = require('../models/Job');
+const { recruiterJobsQuery, getRecruiterJobIds, isJobTeamMember } = require('../utils/jobAccess');
+const { filterWritableFields, sendFieldErrors } = require('../utils/fieldAccess');
+const { recordBaseline } = require('../utils/jobRevisions');
+const { evaluateScreeningAnswers } = require('../utils/screening');
 const path = require('path');
 const fs = require('fs');
 
@@ -15,10 +19,9 @@ const getApplications = async (req, res, next) => {
     let query = {};
     let totalQuery = {};
 
-    // If user is recruiter, only show applications for their jobs
+    // If user is recruiter, only show applications for their team's jobs
     if (req.user.role === 'recruiter') {
-      const userJobs = await Job.find({ postedBy: req.user.id }).select('_id');
-      const jobIds = userJobs.map(job => job._id);
+      const jobIds = await getRecruiterJobIds(req.user);
       query.job = { $in: jobIds };
       totalQuery.job = { $in: jobIds };
     }
@@ -64,8 +67,8 @@ const getApplication = async (req, res, next) => {
 
     // Check authorization
     const isOwner = application.applicant._id.toString() === req.user.id;
-    const isJobOwner = await Job.findOne({ _id: application.job._id, postedBy: req.user.id });
-    const isAdmin = req.user.role === 'admin';
+    const isJobOwner = await Job.exists({ _id: application.job._id, ...recruiterJobsQuery(req.user) });
+    const isAdmin = req.user.hasPermission('manage_applications');
 
     if (!isOwner && !isJobOwner && !isAdmin) {
       return res.status(403).json({
@@ -144,14 +147,36 @@ const createApplication = async (req, res, next) => {
       });
     }
 
+    // Answers must match the job's screening questions
+    const { answers, errors, knockedOutBy } = evaluateScreeningAnswers(job.screeningQuestions, customAnswers);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    // Keep the version of the posting the applicant is applying to
+    await recordBaseline(job);
+
     // Prepare application data
     const applicationData = {
       job: jobId,
+      jobRevision: job.revision,
       applicant: req.user.id,
       coverLetter: coverLetter || '',
-      customAnswers: customAnswers ? JSON.parse(customAnswers) : []
+      customAnswers: answers
     };
 
+    // Answers that miss a knockout criterion end the application straight away
+    if (knockedOutBy.length > 0) {
+      const reason = `Screening: did not meet the requirement for ${knockedOutBy.map(question => `"${question.question}"`).join(', ')}`;
+      applicationData.status = 'rejected';
+      applicationData.rejectionReason = reason;
+      applicationData.timeline = [{ status: 'rejected', reason, timestamp: new Date() }];
+    }
+
     // Handle resume file if uploaded
     if (resumeFile) {
       applicationData.resume = {
@@ -199,8 +224,8 @@ const updateApplication = async (req, res, next) => {
 
     // Check authorization
     const isOwner = application.applicant.toString() === req.user.id;
-    const isJobOwner = await Job.findOne({ _id: application.job, postedBy: req.user.id });
-    const isAdmin = req.user.role === 'admin';
+    const isJobOwner = await Job.exists({ _id: application.job, ...recruiterJobsQuery(req.user) });
+    const isAdmin = req.user.hasPermission('manage_applications');
 
     if (!isOwner && !isJobOwner && !isAdmin) {
       return res.status(403).json({
@@ -209,21 +234,19 @@ const updateApplication = async (req, res, next) => {
       });
     }
 
-    // Applicants can only update certain fields
-    if (isOwner && !isJobOwner && !isAdmin) {
-      const allowedFields = ['coverLetter', 'expectedSalary', 'availableFrom', 'noticePeriod', 'willingToRelocate'];
-      const updateData = {};
-      allowedFields.forEach(field => {
-        if (req.body[field] !== undefined) {
-          updateData[field] = req.body[field];
-        }
-      });
-      req.body = updateData;
+    // Each party can only update the fields it owns
+    let role = 'applicant';
+    if (isAdmin) role = 'admin';
+    else if (isJobOwner) role = 'recruiter';
+
+    const { data, errors } = filterWritableFields('application:update', role, req.body);
+    if (errors.length > 0) {
+      return sendFieldErrors(res, errors);
     }
 
     application = await Application.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      data,
       {
         new: true,
         runValidators: true
@@ -256,7 +279,7 @@ const deleteApplication = async (req, res, next) => {
 
     // Check authorization
     const isOwner = application.applicant.toString() === req.user.id;
-    const isAdmin = req.user.role === 'admin';
+    const isAdmin = req.user.hasPermission('manage_applications');
 
     if (!isOwner && !isAdmin) {
       return res.status(403).json({
@@ -340,9 +363,9 @@ const updateApplicationStatus = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the job or is admin
+    // Check if user is on the job's team or is admin
     const job = await Job.findById(application.job);
-    if (job.postedBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!isJobTeamMember(req.user, job) && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this application'
@@ -381,6 +404,22 @@ const rateApplication = async (req, res, next) => {
 
 const getApplicationsByJob = async (req, res, next) => {
   try {
+    const job = await Job.findById(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (!isJobTeamMember(req.user, job) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view applications for this job'
+      });
+    }
+
     const applications = await Application.find({ job: req.params.jobId })
       .populate('applicant', 'firstName lastName email')
       .sort({ createdAt: -1 });
@@ -429,8 +468,8 @@ const downloadResume = async (req, res, next) => {
 
     // Check authorization
     const isOwner = application.applicant._id.toString() === req.user.id;
-    const isJobOwner = await Job.findOne({ _id: application.job._id, postedBy: req.user.id });
-    const isAdmin = req.user.role === 'admin';
+    const isJobOwner = await Job.exists({ _id: application.job._id, ...recruiterJobsQuery(req.user) });
+    const isAdmin = req.user.hasPermission('manage_applications');
 
     if (!isOwner && !isJobOwner && !isAdmin) {
       return res.status(403).json({
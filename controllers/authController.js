@@ -1,17 +1,70 @@
-const User = require('../models/User');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const Invitation = require('../models/Invitation');
+const OidcAuthRequest = require('../models/OidcAuthRequest');
+const Session = require('../models/Session');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const sendEmail = require('../utils/sendEmail');
+const recordAudit = require('../utils/audit');
+const {
+  frontendUrl,
+  passwordResetEmail,
+  magicLinkEmail,
+  emailVerificationEmail,
+  teamInvitationEmail
+} = require('../utils/emailTemplates');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { getThrottleSubjects, getLockedUntil, recordFailure, recordSuccess } = require('../utils/loginThrottle');
+const {
+  getPasswordPolicy: getPasswordPolicySettings,
+  generateRandomPassword,
+  validateNewPassword
+} = require('../utils/passwordPolicy');
+const {
+  CSRF_COOKIE,
+  generateCsrfToken,
+  isValidCsrfToken
+} = require('../utils/csrf');
+const {
+  generateSecret,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes
+} = require('../utils/totp');
+const {
+  generatePkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo
+} = require('../utils/oidc');
+
+const refreshTokenExpireDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+
+// Create a session and its first refresh token. The refresh token is the
+// session id plus a random secret; only the hash of the secret is stored.
+const createSession = async (user, req) => {
+  const secret = generateToken();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip,
+    lastSeenIp: req.ip,
+    expiresAt: new Date(Date.now() + refreshTokenExpireDays() * 24 * 60 * 60 * 1000)
   });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
 };
 
-// Send token response
-const sendTokenResponse = (user, statusCode, res) => {
-  const token = user.getSignedJwtToken();
+// Send access and refresh tokens for a session
+const sendSessionTokens = (user, session, refreshToken, statusCode, res) => {
+  const token = user.getSignedJwtToken(session._id);
+  const csrfToken = generateCsrfToken(session._id);
 
   const options = {
     expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
@@ -20,12 +73,28 @@ const sendTokenResponse = (user, statusCode, res) => {
     sameSite: 'strict'
   };
 
+  const refreshOptions = {
+    ...options,
+    expires: session.expiresAt,
+    path: '/api/auth'
+  };
+
+  // Readable by the frontend so it can echo it in the X-CSRF-Token header
+  const csrfOptions = {
+    ...options,
+    httpOnly: false
+  };
+
   res.status(statusCode)
     .cookie('token', token, options)
+    .cookie('refreshToken', refreshToken, refreshOptions)
+    .cookie(CSRF_COOKIE, csrfToken, csrfOptions)
     .json({
       success: true,
       data: {
         token,
+        refreshToken,
+        csrfToken,
         user: {
           id: user._id,
           firstName: user.firstName,
@@ -35,12 +104,50 @@ const sendTokenResponse = (user, statusCode, res) => {
           phone: user.phone,
           profilePicture: user.profilePicture,
           isEmailVerified: user.isEmailVerified,
+          twoFactorEnabled: user.twoFactorEnabled,
+          ...(user.role === 'recruiter' && {
+            recruiterStatus: user.isApprovedRecruiter() ? 'approved' : user.recruiterStatus
+          }),
           createdAt: user.createdAt
         }
       }
     });
 };
 
+// Send token response for a new session
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await createSession(user, req);
+  sendSessionTokens(user, session, refreshToken, statusCode, res);
+};
+
+const TWO_FACTOR_CHALLENGE = 'two_factor_login';
+
+// Short-lived token proving the password step of a login succeeded. It has
+// no session, so protect never accepts it as an access token. Only the
+// latest challenge of a user can be completed.
+const issueTwoFactorChallenge = async (user) => {
+  const challengeId = generateToken(16);
+  await User.updateOne({ _id: user._id }, { $set: { twoFactorChallengeId: challengeId } });
+
+  return jwt.sign(
+    { id: user._id, purpose: TWO_FACTOR_CHALLENGE, jti: challengeId },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Issue a new verification token and email it to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const expireHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+  await sendEmail({
+    to: user.email,
+    ...emailVerificationEmail(user, verificationToken, expireHours)
+  });
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -53,84 +160,1078 @@ const register = async (req, res, next) => {
     if (existingUser) {
       return res.status(400).json({
         success: false,
-        message: 'User already exists with this email'
+        message: 'User already exists with this email'
+      });
+    }
+
+    // Create user
+    const user = await User.create({
+      firstName,
+      lastName,
+      email,
+      password,
+      role: role || 'applicant',
+      phone
+    });
+
+    // A failed email should not fail the registration, the user can
+    // request a new link through /resend-verification
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+    }
+
+    // Update last login
+    await user.updateLastLogin();
+
+    await sendTokenResponse(user, 201, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Find a pending, unexpired invitation from the token in the link
+const findPendingInvitation = (token) => {
+  return Invitation.findOne({
+    tokenHash: hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// @desc    Invite a colleague to the company team
+// @route   POST /api/auth/invitations
+// @access  Private/Company owner
+const inviteTeamMember = async (req, res, next) => {
+  try {
+    const { email, companyRole = 'member' } = req.body;
+
+    if (!req.user.companyId || req.user.companyRole !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only company owners can invite team members'
+      });
+    }
+
+    if (!['owner', 'member'].includes(companyRole)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Company role must be either owner or member'
+      });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      if (existingUser.isCompanyMember(req.user.companyId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This user is already a member of your company'
+        });
+      }
+
+      if (existingUser.role !== 'recruiter' || existingUser.companyId) {
+        return res.status(400).json({
+          success: false,
+          message: 'This email belongs to an account that cannot join your company'
+        });
+      }
+    }
+
+    const company = await Company.findById(req.user.companyId);
+
+    // A new invitation replaces any pending one for the same email
+    await Invitation.updateMany(
+      { company: company._id, email, status: 'pending' },
+      { status: 'revoked', revokedAt: new Date(), revokedBy: req.user._id }
+    );
+
+    const invitationToken = generateToken();
+    const expireDays = parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+    const invitation = await Invitation.create({
+      company: company._id,
+      email,
+      companyRole,
+      tokenHash: hashToken(invitationToken),
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + expireDays * 24 * 60 * 60 * 1000)
+    });
+
+    try {
+      await sendEmail({
+        to: invitation.email,
+        ...teamInvitationEmail(req.user, company, invitationToken, expireDays)
+      });
+    } catch (emailError) {
+      console.error('Invitation email error:', emailError);
+
+      await invitation.deleteOne();
+
+      return res.status(500).json({
+        success: false,
+        message: 'Email could not be sent'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get company invitations
+// @route   GET /api/auth/invitations
+// @access  Private/Company owner
+const getInvitations = async (req, res, next) => {
+  try {
+    if (!req.user.companyId || req.user.companyRole !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only company owners can view invitations'
+      });
+    }
+
+    const query = { company: req.user.companyId };
+    if (req.query.status) query.status = req.query.status;
+
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'firstName lastName email')
+      .populate('acceptedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/auth/invitations/:id
+// @access  Private/Company owner
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation || !req.user.isCompanyMember(invitation.company, 'owner')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation has already been ${invitation.status}`
+      });
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user._id;
+    await invitation.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get invitation details from the emailed token
+// @route   GET /api/auth/invitations/:token
+// @access  Public
+const getInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token)
+      .populate('company', 'name slug logo')
+      .populate('invitedBy', 'firstName lastName');
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    const accountExists = !!(await User.exists({ email: invitation.email }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        companyRole: invitation.companyRole,
+        company: invitation.company,
+        invitedBy: invitation.invitedBy,
+        expiresAt: invitation.expiresAt,
+        accountExists
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept an invitation, registering a new recruiter account or
+//          joining with the logged in one
+// @route   POST /api/auth/invitations/:token/accept
+// @access  Public (optional auth)
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    const company = await Company.findOne({ _id: invitation.company, isActive: true });
+    if (!company) {
+      return res.status(400).json({
+        success: false,
+        message: 'This company is no longer accepting members'
+      });
+    }
+
+    let user = req.user;
+
+    if (user) {
+      if (user.email !== invitation.email) {
+        return res.status(403).json({
+          success: false,
+          message: 'This invitation was sent to a different email address'
+        });
+      }
+
+      if (user.role !== 'recruiter' || user.companyId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your account cannot join this company'
+        });
+      }
+    } else {
+      const { firstName, lastName, password, phone } = req.body;
+
+      if (await User.exists({ email: invitation.email })) {
+        return res.status(400).json({
+          success: false,
+          message: 'An account already exists for this email, please log in to accept the invitation'
+        });
+      }
+
+      if (!firstName || !lastName || !password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide first name, last name and password'
+        });
+      }
+
+      // The invitee proved they own the address by opening the emailed link
+      user = await User.create({
+        firstName,
+        lastName,
+        email: invitation.email,
+        password,
+        role: 'recruiter',
+        phone,
+        isEmailVerified: true,
+        emailVerifiedAt: new Date(),
+        // An approved company owner vouched for this colleague
+        recruiterStatus: 'approved',
+        recruiterReviewedBy: invitation.invitedBy,
+        recruiterReviewedAt: new Date()
+      });
+    }
+
+    // Claim the invitation atomically so a token cannot be used twice
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { status: 'accepted', acceptedAt: new Date(), acceptedBy: user._id },
+      { new: true }
+    );
+
+    if (!claimed) {
+      if (!req.user) await user.deleteOne();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    await company.addMember(user, invitation.companyRole);
+
+    if (req.user) {
+      return res.status(200).json({
+        success: true,
+        message: `You have joined ${company.name}`,
+        data: {
+          companyId: company._id,
+          companyRole: user.companyRole
+        }
+      });
+    }
+
+    await user.updateLastLogin();
+
+    await sendTokenResponse(user, 201, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Login user
+// @route   POST /api/auth/login
+// @access  Public
+const login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    // Check for user
+    const user = await User.findOne({ email }).select('+password');
+    if (!user) {
+      await req.loginThrottle.recordFailure();
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check if user is active
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    // Check password
+    const isMatch = await user.matchPassword(password);
+    if (!isMatch) {
+      await req.loginThrottle.recordFailure();
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    await req.loginThrottle.recordSuccess();
+
+    // Second factor required, hand out a challenge instead of tokens
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: await issueTwoFactorChallenge(user)
+        }
+      });
+    }
+
+    // Update last login
+    await user.updateLastLogin();
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cookie tying a magic link to the browser that requested it
+const MAGIC_LINK_DEVICE_COOKIE = 'magicLinkDevice';
+
+// @desc    Email a one-time sign-in link (applicants only)
+// @route   POST /api/auth/magic-link
+// @access  Public
+const requestMagicLink = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    // Every request counts against the limit, like forgot-password
+    await req.loginThrottle.recordFailure();
+
+    // The link only works together with this device token. It is issued
+    // whether or not the account exists so the response reveals nothing.
+    const deviceToken = generateToken();
+    const expireMinutes = parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+
+    res.cookie(MAGIC_LINK_DEVICE_COOKIE, deviceToken, {
+      expires: new Date(Date.now() + expireMinutes * 60 * 1000),
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      path: '/api/auth/magic-link'
+    });
+
+    const genericResponse = {
+      success: true,
+      message: 'If an applicant account exists for this email, a sign-in link has been sent',
+      data: { deviceToken }
+    };
+
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive || user.role !== 'applicant') {
+      return res.status(200).json(genericResponse);
+    }
+
+    const magicToken = user.getMagicLinkToken(deviceToken);
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendEmail({
+        to: user.email,
+        ...magicLinkEmail(user, magicToken, expireMinutes)
+      });
+    } catch (emailError) {
+      console.error('Magic link email error:', emailError);
+
+      user.magicLinkToken = undefined;
+      user.magicLinkExpire = undefined;
+      user.magicLinkDevice = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
+        success: false,
+        message: 'Email could not be sent'
+      });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Sign in with a magic link
+// @route   POST /api/auth/magic-link/verify
+// @access  Public
+const verifyMagicLink = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    const deviceToken = (req.cookies && req.cookies[MAGIC_LINK_DEVICE_COOKIE]) || req.body.deviceToken;
+
+    const user = await User.findOne({
+      magicLinkToken: hashToken(token),
+      magicLinkExpire: { $gt: Date.now() }
+    }).select('+magicLinkToken +magicLinkDevice');
+
+    if (!user) {
+      await req.loginThrottle.recordFailure();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired sign-in link'
+      });
+    }
+
+    // A link opened elsewhere stays valid for the device that requested it
+    if (!deviceToken || hashToken(deviceToken) !== user.magicLinkDevice) {
+      await req.loginThrottle.recordFailure();
+      return res.status(400).json({
+        success: false,
+        message: 'Please open the sign-in link in the browser you requested it from'
+      });
+    }
+
+    // Consume the link atomically so it can only be used once
+    const consumed = await User.updateOne(
+      { _id: user._id, magicLinkToken: user.magicLinkToken },
+      { $unset: { magicLinkToken: 1, magicLinkExpire: 1, magicLinkDevice: 1 } }
+    );
+
+    if (consumed.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired sign-in link'
+      });
+    }
+
+    if (!user.isActive || user.role !== 'applicant') {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    await req.loginThrottle.recordSuccess();
+    res.clearCookie(MAGIC_LINK_DEVICE_COOKIE, { path: '/api/auth/magic-link' });
+
+    // Opening the emailed link proves the user owns the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    if (user.twoFactorEnabled) {
+      await user.save({ validateBeforeSave: false });
+      return res.status(200).json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: await issueTwoFactorChallenge(user)
+        }
+      });
+    }
+
+    // Update last login
+    await user.updateLastLogin();
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Where the identity provider sends the browser back to. The frontend page
+// there posts `code` and `state` to /api/auth/oidc/callback.
+const getOidcRedirectUri = () => process.env.OIDC_REDIRECT_URI || frontendUrl('/auth/oidc/callback');
+
+// Email domain of an address
+const emailDomain = (email) => String(email).split('@').pop().toLowerCase();
+
+// Find the user for an SSO identity, linking an existing account by email or
+// creating a new one on first login, and apply the access mapped from the
+// user's groups. Returns { user } or { status, message }.
+const findOrCreateSsoUser = async (company, claims, access) => {
+  const { issuer, domains } = company.sso;
+  const email = claims.email ? String(claims.email).trim().toLowerCase() : null;
+  const inAllowedDomain = email && (domains.length === 0 || domains.includes(emailDomain(email)));
+
+  let user = await User.findOne({ ssoIssuer: issuer, ssoSubject: claims.sub });
+
+  if (!user) {
+    if (!email || !inAllowedDomain) {
+      return { status: 403, message: 'Your identity provider account has no email address allowed for this company' };
+    }
+
+    user = await User.findOne({ email });
+
+    if (user) {
+      // Only link accounts on domains an admin confirmed the company owns,
+      // when the provider vouches for the email
+      const canLink = company.sso.verifiedDomains.includes(emailDomain(email))
+        && claims.email_verified === true && !user.ssoSubject
+        && user.role !== 'applicant' && (user.role !== 'admin' || access.role === 'admin')
+        && (!user.companyId || user.isCompanyMember(company._id));
+
+      if (!canLink) {
+        return { status: 409, message: 'An account with this email already exists and cannot be linked to single sign-on' };
+      }
+
+      user.ssoIssuer = issuer;
+      user.ssoSubject = claims.sub;
+    } else {
+      const [givenName, ...familyNames] = String(claims.name || '').trim().split(/\s+/);
+
+      // SSO users never need this password, they can set one through
+      // /forgot-password if they ever want to sign in without SSO
+      user = new User({
+        firstName: (claims.given_name || givenName || email.split('@')[0]).slice(0, 50),
+        lastName: (claims.family_name || familyNames.join(' ') || '-').slice(0, 50),
+        email,
+        password: generateRandomPassword(),
+        role: access.role,
+        isEmailVerified: true,
+        emailVerifiedAt: new Date(),
+        ssoIssuer: issuer,
+        ssoSubject: claims.sub
+      });
+    }
+  }
+
+  if (!user.isActive) {
+    return { status: 401, message: 'Account is deactivated. Please contact support.' };
+  }
+
+  // Groups are the source of truth, so access is re-applied on every login
+  user.role = access.role;
+  user.permissions = access.permissions;
+
+  if (access.role === 'admin') {
+    user.companyId = null;
+    user.companyRole = null;
+    await user.save();
+    return { user };
+  }
+
+  // The company's identity provider vouches for its recruiters
+  if (!user.isApprovedRecruiter()) {
+    user.recruiterStatus = 'approved';
+    user.recruiterReviewedAt = new Date();
+    user.recruiterRejectionReason = undefined;
+  }
+  await user.save();
+  await company.addMember(user, access.companyRole);
+
+  return { user };
+};
+
+// @desc    Start single sign-on with the company's identity provider
+// @route   GET /api/auth/oidc/:company/authorize
+// @access  Public
+const oidcAuthorize = async (req, res, next) => {
+  try {
+    const company = await Company.findOne({ slug: req.params.company, isActive: true });
+
+    if (!company || !company.sso.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured for this company'
+      });
+    }
+
+    const state = generateToken();
+    const nonce = generateToken(16);
+    const { codeVerifier, codeChallenge } = generatePkcePair();
+    const redirectUri = getOidcRedirectUri();
+
+    let authorizationUrl;
+    try {
+      authorizationUrl = await buildAuthorizationUrl({
+        issuer: company.sso.issuer,
+        clientId: company.sso.clientId,
+        redirectUri,
+        scopes: company.sso.scopes,
+        state,
+        nonce,
+        codeChallenge,
+        loginHint: req.query.loginHint
+      });
+    } catch (providerError) {
+      console.error('OIDC discovery error:', providerError);
+      return res.status(502).json({
+        success: false,
+        message: 'Could not reach the identity provider'
+      });
+    }
+
+    const expireMinutes = parseInt(process.env.OIDC_LOGIN_EXPIRE_MINUTES) || 10;
+    await OidcAuthRequest.create({
+      stateHash: hashToken(state),
+      company: company._id,
+      nonce,
+      codeVerifier,
+      redirectUri,
+      expiresAt: new Date(Date.now() + expireMinutes * 60 * 1000)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { authorizationUrl }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete single sign-on with the code returned by the provider
+// @route   POST /api/auth/oidc/callback
+// @access  Public
+const oidcCallback = async (req, res, next) => {
+  try {
+    const { code, state, error: providerError } = req.body;
+
+    if (providerError) {
+      return res.status(401).json({
+        success: false,
+        message: `Identity provider returned an error: ${providerError}`
+      });
+    }
+
+    if (!code || !state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide code and state'
+      });
+    }
+
+    // A login request can only be completed once
+    const authRequest = await OidcAuthRequest.findOneAndDelete({
+      stateHash: hashToken(state),
+      expiresAt: { $gt: new Date() }
+    }).select('+codeVerifier');
+
+    if (!authRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired login request, please try again'
+      });
+    }
+
+    const company = await Company.findOne({ _id: authRequest.company, isActive: true })
+      .select('+sso.clientSecret');
+
+    if (!company || !company.sso.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Single sign-on is not configured for this company'
+      });
+    }
+
+    const { issuer, clientId, clientSecret } = company.sso;
+    let claims;
+    try {
+      const tokens = await exchangeCode({
+        issuer,
+        clientId,
+        clientSecret: clientSecret ? decryptSecret(clientSecret) : null,
+        redirectUri: authRequest.redirectUri,
+        code,
+        codeVerifier: authRequest.codeVerifier
+      });
+
+      claims = await verifyIdToken({
+        issuer,
+        clientId,
+        idToken: tokens.id_token,
+        nonce: authRequest.nonce
+      });
+
+      const userInfo = await fetchUserInfo({ issuer, accessToken: tokens.access_token });
+      if (userInfo.sub && userInfo.sub !== claims.sub) {
+        throw new Error('Userinfo subject does not match the ID token');
+      }
+
+      // Claims in the signed ID token take precedence
+      claims = { ...userInfo, ...claims };
+    } catch (oidcError) {
+      console.error('OIDC login error:', oidcError);
+      return res.status(401).json({
+        success: false,
+        message: 'Single sign-on failed'
+      });
+    }
+
+    const rawGroups = claims[company.sso.groupsClaim];
+    const groups = (Array.isArray(rawGroups) ? rawGroups : [rawGroups]).filter(Boolean).map(String);
+
+    const access = company.resolveSsoAccess(groups);
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is not assigned to this application'
+      });
+    }
+
+    const result = await findOrCreateSsoUser(company, claims, access);
+    if (!result.user) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    // The identity provider is responsible for the second factor
+    await result.user.updateLastLogin();
+
+    await sendTokenResponse(result.user, 200, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete login with a TOTP code or a recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge, please log in again'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep +twoFactorChallengeId');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled || user.changedPasswordAfter(decoded.iat)
+      || !decoded.jti || decoded.jti !== user.twoFactorChallengeId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge, please log in again'
+      });
+    }
+
+    // Failed codes are counted per account and per IP, like passwords
+    const subjects = getThrottleSubjects('two-factor', req.ip, user.email);
+    const lockedUntil = await getLockedUntil(subjects);
+    if (lockedUntil) {
+      const retryAfterSeconds = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed attempts, please try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s)`,
+        lockedUntil
+      });
+    }
+
+    const verified = recoveryCode
+      ? user.useRecoveryCode(recoveryCode)
+      : user.verifyTwoFactorCode(code);
+
+    if (!verified) {
+      await recordFailure(subjects, req);
+
+      // Once the account is locked the challenge is spent; the next try
+      // has to start from the password again
+      const accountSubjects = subjects.filter(subject => subject.scope === 'account');
+      if (await getLockedUntil(accountSubjects)) {
+        await User.updateOne(
+          { _id: user._id, twoFactorChallengeId: decoded.jti },
+          { $unset: { twoFactorChallengeId: 1 } }
+        );
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await recordSuccess(subjects);
+
+    // A challenge completes a single login
+    user.twoFactorChallengeId = undefined;
+    await user.save({ validateBeforeSave: false });
+    await user.updateLastLogin();
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Refresh access token
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshAccessToken = async (req, res, next) => {
+  try {
+    const fromCookie = !req.body.refreshToken && !!req.cookies.refreshToken;
+    const presentedToken = req.body.refreshToken || req.cookies.refreshToken;
+
+    if (!presentedToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'No refresh token provided'
+      });
+    }
+
+    const [sessionId, secret] = String(presentedToken).split('.');
+    if (!mongoose.isValidObjectId(sessionId) || !secret) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const session = await Session.findById(sessionId).select('+refreshTokenHash');
+    if (!session || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked, please log in again'
+      });
+    }
+
+    // The refresh cookie is sent automatically by the browser, so a
+    // cookie-based refresh must carry the CSRF token of the same session
+    if (fromCookie && !isValidCsrfToken(req, session._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or missing CSRF token'
+      });
+    }
+
+    // A token that was already rotated is being used again, so it has been
+    // copied. Revoke the whole session so neither copy keeps working.
+    if (session.refreshTokenHash !== hashToken(secret)) {
+      await session.revoke('refresh_token_reuse');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected, session revoked'
+      });
+    }
+
+    // Rotate atomically so two concurrent refreshes cannot both succeed
+    const newSecret = generateToken();
+    const rotatedSession = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+      { refreshTokenHash: hashToken(newSecret), lastRefreshedAt: new Date(), lastSeenAt: new Date(), lastSeenIp: req.ip },
+      { new: true }
+    );
+
+    if (!rotatedSession) {
+      await session.revoke('refresh_token_reuse');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected, session revoked'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await rotatedSession.revoke('user_deactivated');
+      return res.status(401).json({
+        success: false,
+        message: 'User account is deactivated'
+      });
+    }
+
+    sendSessionTokens(user, rotatedSession, `${rotatedSession._id}.${newSecret}`, 200, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke an impersonation session and record who ended it
+const endImpersonationSession = async (req) => {
+  await req.authSession.revoke('impersonation_ended');
+
+  await recordAudit({
+    action: 'impersonation.ended',
+    req,
+    actor: req.impersonator._id,
+    targetUser: req.user._id,
+    metadata: { sessionId: req.authSession._id }
+  });
+};
+
+// @desc    End impersonation
+// @route   POST /api/auth/impersonation/end
+// @access  Private (impersonation token)
+const endImpersonation = async (req, res, next) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not impersonating a user'
       });
     }
 
-    // Create user
-    const user = await User.create({
-      firstName,
-      lastName,
-      email,
-      password,
-      role: role || 'applicant',
-      phone
+    await endImpersonationSession(req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended'
     });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Update last login
-    await user.updateLastLogin();
+// @desc    Logout user
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = async (req, res, next) => {
+  try {
+    if (req.impersonator) {
+      await endImpersonationSession(req);
+    } else {
+      await req.authSession.revoke('logout');
+    }
 
-    sendTokenResponse(user, 201, res);
+    res.clearCookie('token');
+    res.clearCookie('refreshToken', { path: '/api/auth' });
+    res.clearCookie(CSRF_COOKIE);
+
+    res.status(200).json({
+      success: true,
+      message: 'User logged out successfully'
+    });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Login user
-// @route   POST /api/auth/login
-// @access  Public
-const login = async (req, res, next) => {
+// @desc    Get your active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    const sessions = await Session.findActiveForUser(req.user._id);
 
-    // Check for user
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => session.toDeviceSummary(req.authSession._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Account is deactivated. Please contact support.'
-      });
-    }
+// @desc    Sign out one of your sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
 
-    // Check password
-    const isMatch = await user.matchPassword(password);
-    if (!isMatch) {
-      return res.status(401).json({
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Session not found'
       });
     }
 
-    // Update last login
-    await user.updateLastLogin();
+    await session.revoke('revoked_by_user');
+
+    const isCurrent = session._id.toString() === req.authSession._id.toString();
+    if (isCurrent) {
+      res.clearCookie('token');
+      res.clearCookie('refreshToken', { path: '/api/auth' });
+      res.clearCookie(CSRF_COOKIE);
+    }
 
-    sendTokenResponse(user, 200, res);
+    res.status(200).json({
+      success: true,
+      message: isCurrent ? 'Signed out of this device' : 'Session revoked'
+    });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Logout user
-// @route   POST /api/auth/logout
+// @desc    Sign out all other sessions (or every session with ?includeCurrent=true)
+// @route   DELETE /api/auth/sessions
 // @access  Private
-const logout = async (req, res, next) => {
+const revokeAllSessions = async (req, res, next) => {
   try {
-    res.cookie('token', 'none', {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true
-    });
+    const includeCurrent = req.query.includeCurrent === 'true';
+    const result = await Session.revokeAllForUser(
+      req.user._id,
+      'revoked_by_user',
+      includeCurrent ? null : req.authSession._id
+    );
+
+    if (includeCurrent) {
+      res.clearCookie('token');
+      res.clearCookie('refreshToken', { path: '/api/auth' });
+      res.clearCookie(CSRF_COOKIE);
+    }
 
     res.status(200).json({
       success: true,
-      message: 'User logged out successfully'
+      message: includeCurrent ? 'Signed out of every device' : 'Signed out of all other devices',
+      revoked: result.modifiedCount
     });
   } catch (error) {
     next(error);
@@ -156,9 +1257,18 @@ const getMe = async (req, res, next) => {
         phone: user.phone,
         profilePicture: user.profilePicture,
         isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
         isActive: user.isActive,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt,
+        ...(req.impersonator && {
+          impersonatedBy: {
+            id: req.impersonator._id,
+            firstName: req.impersonator.firstName,
+            lastName: req.impersonator.lastName,
+            email: req.impersonator.email
+          }
+        }),
         // Role-specific data
         ...(user.role === 'applicant' && {
           resume: user.resume,
@@ -169,7 +1279,9 @@ const getMe = async (req, res, next) => {
         ...(user.role === 'recruiter' && {
           company: user.company,
           companySize: user.companySize,
-          industry: user.industry
+          industry: user.industry,
+          recruiterStatus: user.isApprovedRecruiter() ? 'approved' : user.recruiterStatus,
+          recruiterRejectionReason: user.recruiterRejectionReason
         }),
         ...(user.role === 'admin' && {
           permissions: user.permissions
@@ -221,6 +1333,20 @@ const updateProfile = async (req, res, next) => {
   }
 };
 
+// @desc    Get password policy
+// @route   GET /api/auth/password-policy
+// @access  Public
+const getPasswordPolicy = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: getPasswordPolicySettings()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Change password
 // @route   PUT /api/auth/password
 // @access  Private
@@ -235,26 +1361,43 @@ const changePassword = async (req, res, next) => {
       });
     }
 
-    // Get user with password
-    const user = await User.findById(req.user.id).select('+password');
+    // Get user with password and the hashes it may not be changed back to
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
 
     // Check current password
     const isMatch = await user.matchPassword(currentPassword);
     if (!isMatch) {
+      await req.loginThrottle.recordFailure();
       return res.status(400).json({
         success: false,
         message: 'Current password is incorrect'
       });
     }
 
+    await req.loginThrottle.recordSuccess();
+
+    const policyErrors = await validateNewPassword(user, newPassword);
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: policyErrors.map(message => ({ field: 'newPassword', message }))
+      });
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
 
-    res.status(200).json({
-      success: true,
-      message: 'Password updated successfully'
-    });
+    // Access tokens issued before the change stop working everywhere. Other
+    // devices are signed out unless asked otherwise; if kept, they continue
+    // after their next refresh. This client always gets a new session.
+    if (req.body.signOutOtherDevices === false) {
+      await req.authSession.revoke('password_change');
+    } else {
+      await Session.revokeAllForUser(user._id, 'password_change');
+    }
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     next(error);
   }
@@ -267,19 +1410,45 @@ const forgotPassword = async (req, res, next) => {
   try {
     const { email } = req.body;
 
+    // Same response whether or not the account exists, so the endpoint
+    // cannot be used to find out which emails are registered
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, password reset instructions have been sent'
+    };
+
+    // Every reset request counts against the limit, whether or not the
+    // account exists, to stop the endpoint being used to flood an inbox
+    await req.loginThrottle.recordFailure();
+
     const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      const expireMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 30;
+      await sendEmail({
+        to: user.email,
+        ...passwordResetEmail(user, resetToken, expireMinutes)
+      });
+    } catch (emailError) {
+      console.error('Password reset email error:', emailError);
+
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
         success: false,
-        message: 'No user found with this email'
+        message: 'Email could not be sent'
       });
     }
 
-    // For now, just return success (implement email sending later)
-    res.status(200).json({
-      success: true,
-      message: 'Password reset instructions sent to email'
-    });
+    res.status(200).json(genericResponse);
   } catch (error) {
     next(error);
   }
@@ -290,10 +1459,38 @@ const forgotPassword = async (req, res, next) => {
 // @access  Public
 const resetPassword = async (req, res, next) => {
   try {
-    // Implementation for password reset with token
+    const user = await User.findOne({
+      resetPasswordToken: hashToken(req.params.token),
+      resetPasswordExpire: { $gt: Date.now() }
+    }).select('+password +passwordHistory +resetPasswordToken +resetPasswordExpire');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    const policyErrors = await validateNewPassword(user, req.body.password);
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: policyErrors.map(message => ({ field: 'password', message }))
+      });
+    }
+
+    // Set new password and consume the token, then sign out every session
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
     res.status(200).json({
       success: true,
-      message: 'Password reset successfully'
+      message: 'Password reset successfully. Please log in with your new password.'
     });
   } catch (error) {
     next(error);
@@ -305,7 +1502,24 @@ const resetPassword = async (req, res, next) => {
 // @access  Public
 const verifyEmail = async (req, res, next) => {
   try {
-    // Implementation for email verification
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpire: { $gt: Date.now() }
+    }).select('+emailVerificationToken +emailVerificationExpire');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
     res.status(200).json({
       success: true,
       message: 'Email verified successfully'
@@ -320,7 +1534,25 @@ const verifyEmail = async (req, res, next) => {
 // @access  Private
 const resendVerification = async (req, res, next) => {
   try {
-    // Implementation for resending verification email
+    const user = await User.findById(req.user.id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+      return res.status(500).json({
+        success: false,
+        message: 'Email could not be sent'
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Verification email sent'
@@ -330,15 +1562,213 @@ const resendVerification = async (req, res, next) => {
   }
 };
 
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Kept as pending until the user proves their app generates valid codes
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = encryptSecret(secret);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: process.env.TWO_FACTOR_ISSUER || 'Recruitment System'
+        })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm enrolment with a code and enable two-factor authentication
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorPendingSecret +twoFactorLastUsedStep');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code, { pending: true })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.setRecoveryCodes(recoveryCodes);
+    await user.save({ validateBeforeSave: false });
+
+    // Recovery codes are only shown once
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const policy = await SecurityPolicy.getPolicy();
+    if (policy.requiresTwoFactor(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const verified = recoveryCode
+      ? user.useRecoveryCode(recoveryCode)
+      : user.verifyTwoFactorCode(code);
+
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = null;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.setRecoveryCodes(recoveryCodes);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   register,
+  inviteTeamMember,
+  getInvitations,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation,
   login,
+  requestMagicLink,
+  verifyMagicLink,
+  oidcAuthorize,
+  oidcCallback,
+  refreshAccessToken,
   logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  endImpersonation,
   getMe,
   updateProfile,
+  getPasswordPolicy,
   changePassword,
   forgotPassword,
   resetPassword,
   verifyEmail,
-  resendVerification
+  resendVerification,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 };
@@ -0,0 +1,622 @@
+const path = require('path');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { deleteFile } = require('../utils/fileUpload');
+const { encryptSecret } = require('../utils/totp');
+const { isAllowedProviderUrl } = require('../utils/oidc');
+
+const PROFILE_FIELDS = ['name', 'description', 'website', 'industry', 'size', 'location'];
+
+// Pick the editable profile fields from the request body
+const pickProfileFields = (body) => {
+  const fields = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Company owners and admins managing users can edit a company
+const canManageCompany = (user, company) => {
+  return user.isCompanyMember(company._id, 'owner') || user.hasPermission('manage_users');
+};
+
+// @desc    Create company and become its owner
+// @route   POST /api/companies
+// @access  Private/Recruiter
+const createCompany = async (req, res, next) => {
+  try {
+    if (req.user.companyId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already belong to a company'
+      });
+    }
+
+    const company = await Company.create({
+      ...pickProfileFields(req.body),
+      createdBy: req.user.id
+    });
+
+    await company.addMember(req.user, 'owner');
+
+    res.status(201).json({
+      success: true,
+      data: company
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get current user's company with its team
+// @route   GET /api/companies/mine
+// @access  Private/Recruiter
+const getMyCompany = async (req, res, next) => {
+  try {
+    if (!req.user.companyId) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not belong to a company'
+      });
+    }
+
+    const company = await Company.findById(req.user.companyId)
+      .populate('members', 'firstName lastName email companyRole');
+
+    res.status(200).json({
+      success: true,
+      data: company
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get company profile
+// @route   GET /api/companies/:id
+// @access  Public
+const getCompany = async (req, res, next) => {
+  try {
+    const company = await Company.findOne({ _id: req.params.id, isActive: true }).select('-sso');
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const activeJobs = await Job.countDocuments({ companyId: company._id, status: 'active' });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...company.toJSON(),
+        activeJobs
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update company profile
+// @route   PUT /api/companies/:id
+// @access  Private/Company owner or Admin
+const updateCompany = async (req, res, next) => {
+  try {
+    const company = await Company.findById(req.params.id);
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    if (!canManageCompany(req.user, company)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this company'
+      });
+    }
+
+    const fields = pickProfileFields(req.body);
+    Object.assign(company, fields);
+    await company.save();
+
+    // Keep the display name on recruiter profiles in sync
+    if (fields.name) {
+      await User.updateMany({ companyId: company._id }, { company: company.name });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: company
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upload company logo
+// @route   POST /api/companies/:id/logo
+// @access  Private/Company owner or Admin
+const uploadCompanyLogo = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Logo file is required'
+      });
+    }
+
+    const company = await Company.findById(req.params.id);
+
+    if (!company || !canManageCompany(req.user, company)) {
+      deleteFile(req.file.path);
+      return res.status(company ? 403 : 404).json({
+        success: false,
+        message: company ? 'Not authorized to update this company' : 'Company not found'
+      });
+    }
+
+    // Remove the previous logo from disk
+    if (company.logo) {
+      deleteFile(path.join(__dirname, '..', company.logo));
+    }
+
+    company.logo = `/uploads/logos/${req.file.filename}`;
+    await company.save();
+
+    res.status(200).json({
+      success: true,
+      data: company
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// SSO settings without the client secret
+const formatSso = (sso, hasClientSecret) => ({
+  enabled: sso.enabled,
+  issuer: sso.issuer,
+  clientId: sso.clientId,
+  hasClientSecret,
+  scopes: sso.scopes,
+  groupsClaim: sso.groupsClaim,
+  domains: sso.domains,
+  verifiedDomains: sso.verifiedDomains,
+  groupMappings: sso.groupMappings
+});
+
+// Mappings that turn the provider's users into platform admins
+const grantsPlatformAccess = (mappings) => {
+  return (mappings || []).some(mapping => mapping.role === 'admin' || (mapping.permissions || []).length > 0);
+};
+
+// Settings that decide who the provider can vouch for
+const SSO_IDENTITY_FIELDS = ['issuer', 'clientId', 'groupsClaim', 'domains'];
+
+const sameSetting = (current, value) => JSON.stringify(current) === JSON.stringify(value);
+
+// @desc    Get single sign-on settings
+// @route   GET /api/companies/:id/sso
+// @access  Private/Company owner or Admin
+const getCompanySso = async (req, res, next) => {
+  try {
+    const company = await Company.findById(req.params.id).select('+sso.clientSecret');
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    if (!canManageCompany(req.user, company)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this company'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatSso(company.sso, !!company.sso.clientSecret)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update single sign-on settings
+// @route   PUT /api/companies/:id/sso
+// @access  Private/Company owner or Admin
+const updateCompanySso = async (req, res, next) => {
+  try {
+    const company = await Company.findById(req.params.id).select('+sso.clientSecret');
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    if (!canManageCompany(req.user, company)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this company'
+      });
+    }
+
+    const { clientSecret, groupMappings, verifiedDomains } = req.body;
+    const isUserAdmin = req.user.hasPermission('manage_users');
+
+    // Granting platform admin access through a company's provider is
+    // reserved for admins who manage users
+    if (Array.isArray(groupMappings) && grantsPlatformAccess(groupMappings) && !isUserAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can map groups to the admin role or permissions'
+      });
+    }
+
+    const changedIdentityFields = SSO_IDENTITY_FIELDS.filter(field => {
+      if (req.body[field] === undefined) return false;
+      const current = company.sso[field] && company.sso[field].toObject ? company.sso[field].toObject() : company.sso[field];
+      return !sameSetting(current, req.body[field]);
+    });
+
+    // Otherwise an owner could point admin mappings at a provider they control
+    if (changedIdentityFields.length > 0 && grantsPlatformAccess(company.sso.groupMappings) && !isUserAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: `Only admins can change ${changedIdentityFields.join(', ')} while groups are mapped to the admin role or permissions`
+      });
+    }
+
+    if (verifiedDomains !== undefined && !isUserAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can verify single sign-on domains'
+      });
+    }
+
+    if (req.body.issuer && !isAllowedProviderUrl(req.body.issuer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Issuer must be an https URL'
+      });
+    }
+
+    ['enabled', 'issuer', 'clientId', 'scopes', 'groupsClaim', 'domains', 'groupMappings', 'verifiedDomains'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        company.sso[field] = req.body[field];
+      }
+    });
+
+    // A new provider has to be trusted again before it can link accounts
+    if (changedIdentityFields.includes('issuer') && verifiedDomains === undefined) {
+      company.sso.verifiedDomains = [];
+    }
+    company.sso.verifiedDomains = company.sso.verifiedDomains.filter(domain => company.sso.domains.includes(domain));
+
+    // An empty string removes the secret (public clients rely on PKCE alone)
+    if (clientSecret !== undefined) {
+      company.sso.clientSecret = clientSecret ? encryptSecret(clientSecret) : undefined;
+    }
+
+    if (company.sso.enabled && (!company.sso.issuer || !company.sso.clientId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Issuer and client ID are required to enable single sign-on'
+      });
+    }
+
+    await company.save();
+
+    res.status(200).json({
+      success: true,
+      data: formatSso(company.sso, !!company.sso.clientSecret)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the approval chain for job requisitions
+// @route   GET /api/companies/:id/requisition-approvals
+// @access  Private/Company member or Admin
+const getRequisitionApprovals = async (req, res, next) => {
+  try {
+    const company = await Company.findById(req.params.id)
+      .select('requisitionApprovalChain')
+      .populate('requisitionApprovalChain.approvers', 'firstName lastName email');
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    if (!req.user.isCompanyMember(company._id) && !req.user.hasPermission('manage_users')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this company'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: company.requisitionApprovalChain
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the approval chain for job requisitions
+// @route   PUT /api/companies/:id/requisition-approvals
+// @access  Private/Company owner or Admin
+const updateRequisitionApprovals = async (req, res, next) => {
+  try {
+    const company = await Company.findById(req.params.id);
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    if (!canManageCompany(req.user, company)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this company'
+      });
+    }
+
+    const { steps } = req.body;
+
+    // Approvers must be on the team; an empty list leaves the step to admins
+    const approverIds = [...new Set(steps.flatMap(step => step.approvers.map(String)))];
+    const members = await User.countDocuments({ _id: { $in: approverIds }, companyId: company._id });
+    if (members !== approverIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Approvers must be members of the company'
+      });
+    }
+
+    // Pending requisitions keep the chain they were created with
+    company.requisitionApprovalChain = steps.map(step => ({
+      name: step.name,
+      approvers: step.approvers
+    }));
+    await company.save();
+
+    res.status(200).json({
+      success: true,
+      data: company.requisitionApprovalChain
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get company team members
+// @route   GET /api/companies/:id/members
+// @access  Private/Company member or Admin
+const getMembers = async (req, res, next) => {
+  try {
+    if (!req.user.isCompanyMember(req.params.id) && !req.user.hasPermission('manage_users')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this team'
+      });
+    }
+
+    const members = await User.find({ companyId: req.params.id })
+      .select('firstName lastName email phone companyRole lastLogin isActive')
+      .sort({ companyRole: -1, firstName: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: members.length,
+      data: members
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add an existing recruiter to a company
+// @route   POST /api/companies/:id/members
+// @access  Private/Admin
+const addMember = async (req, res, next) => {
+  try {
+    const { userId, companyRole = 'member' } = req.body;
+
+    if (!['owner', 'member'].includes(companyRole)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Company role must be either owner or member'
+      });
+    }
+
+    const [company, user] = await Promise.all([
+      Company.findById(req.params.id),
+      User.findById(userId)
+    ]);
+
+    if (!company || !user) {
+      return res.status(404).json({
+        success: false,
+        message: company ? 'User not found' : 'Company not found'
+      });
+    }
+
+    if (user.role !== 'recruiter') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only recruiters can join a company'
+      });
+    }
+
+    if (user.companyId) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already belongs to a company'
+      });
+    }
+
+    await company.addMember(user, companyRole);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member added successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a member's company role
+// @route   PATCH /api/companies/:id/members/:userId
+// @access  Private/Company owner or Admin
+const updateMemberRole = async (req, res, next) => {
+  try {
+    const { companyRole } = req.body;
+
+    if (!['owner', 'member'].includes(companyRole)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Company role must be either owner or member'
+      });
+    }
+
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    if (!canManageCompany(req.user, company)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this team'
+      });
+    }
+
+    const member = await User.findOne({ _id: req.params.userId, companyId: company._id });
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    // A company always keeps at least one owner
+    if (member.companyRole === 'owner' && companyRole !== 'owner') {
+      const owners = await User.countDocuments({ companyId: company._id, companyRole: 'owner' });
+      if (owners <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'A company must have at least one owner'
+        });
+      }
+    }
+
+    member.companyRole = companyRole;
+    await member.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: member._id,
+        companyRole: member.companyRole
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a member from a company (or leave it)
+// @route   DELETE /api/companies/:id/members/:userId
+// @access  Private/Company owner, the member themselves, or Admin
+const removeMember = async (req, res, next) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const isSelf = req.params.userId === req.user.id;
+    if (!isSelf && !canManageCompany(req.user, company)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this team'
+      });
+    }
+
+    const member = await User.findOne({ _id: req.params.userId, companyId: company._id });
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.companyRole === 'owner') {
+      const owners = await User.countDocuments({ companyId: company._id, companyRole: 'owner' });
+      if (owners <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'A company must have at least one owner'
+        });
+      }
+    }
+
+    // Jobs stay with the company so the rest of the team keeps access
+    member.companyId = null;
+    member.companyRole = null;
+    await member.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createCompany,
+  getMyCompany,
+  getCompany,
+  updateCompany,
+  uploadCompanyLogo,
+  getCompanySso,
+  updateCompanySso,
+  getRequisitionApprovals,
+  updateRequisitionApprovals,
+  getMembers,
+  addMember,
+  updateMemberRole,
+  removeMember
+};
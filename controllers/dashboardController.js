@@ -2,6 +2,7 @@ const User = require('../models/User');
 const Job = require('../models/Job');
 const Application = require('../models/Application');
 const Interview = require('../models/Interview');
+const { recruiterJobsQuery, getRecruiterJobIds } = require('../utils/jobAccess');
 
 // @desc    Get dashboard statistics based on user role
 // @route   GET /api/dashboard/stats
@@ -17,9 +18,15 @@ const getDashboardStats = async (req, res, next) => {
         stats = await getApplicantStats(req.user._id);
         break;
       case 'recruiter':
-        stats = await getRecruiterStats(req.user._id);
+        stats = await getRecruiterStats(req.user);
         break;
       case 'admin':
+        if (!req.user.hasPermission('view_analytics')) {
+          return res.status(403).json({
+            success: false,
+            message: 'Missing permission: view_analytics'
+          });
+        }
         stats = await getAdminStats();
         break;
       default:
@@ -74,8 +81,11 @@ const getApplicantStats = async (userId) => {
   };
 };
 
-// Helper function to get recruiter statistics
-const getRecruiterStats = async (userId) => {
+// Helper function to get recruiter statistics for the recruiter's company team
+const getRecruiterStats = async (user) => {
+  const jobQuery = recruiterJobsQuery(user);
+  const jobIds = await getRecruiterJobIds(user);
+
   const [
     totalJobs,
     activeJobs,
@@ -85,42 +95,29 @@ const getRecruiterStats = async (userId) => {
     recentJobs,
     recentApplications
   ] = await Promise.all([
-    Job.countDocuments({ postedBy: userId }),
-    Job.countDocuments({ postedBy: userId, status: 'active' }),
-    Application.countDocuments().populate({
-      path: 'job',
-      match: { postedBy: userId }
-    }),
-    Application.countDocuments({ status: 'pending' }).populate({
-      path: 'job',
-      match: { postedBy: userId }
-    }),
-    Interview.countDocuments({ interviewer: userId, status: { $in: ['scheduled', 'confirmed'] } }),
-    Job.find({ postedBy: userId })
+    Job.countDocuments(jobQuery),
+    Job.countDocuments({ ...jobQuery, status: 'active' }),
+    Application.countDocuments({ job: { $in: jobIds } }),
+    Application.countDocuments({ job: { $in: jobIds }, status: 'pending' }),
+    Interview.countDocuments({ interviewer: user._id, status: { $in: ['scheduled', 'confirmed'] } }),
+    Job.find(jobQuery)
       .sort({ createdAt: -1 })
       .limit(5),
-    Application.find()
-      .populate({
-        path: 'job',
-        match: { postedBy: userId },
-        select: 'title company'
-      })
+    Application.find({ job: { $in: jobIds } })
+      .populate('job', 'title company')
       .populate('applicant', 'firstName lastName')
       .sort({ createdAt: -1 })
       .limit(5)
   ]);
 
-  // Filter out applications where job is null (due to populate match)
-  const filteredRecentApplications = recentApplications.filter(app => app.job);
-
   return {
     totalJobs,
     activeJobs,
-    totalApplications: filteredRecentApplications.length,
+    totalApplications,
     pendingApplications,
     scheduledInterviews,
     recentJobs,
-    recentApplications: filteredRecentApplications
+    recentApplications
   };
 };
 
@@ -198,7 +195,7 @@ const getApplicantDashboard = async (req, res, next) => {
 // @access  Private/Recruiter
 const getRecruiterDashboard = async (req, res, next) => {
   try {
-    const stats = await getRecruiterStats(req.user._id);
+    const stats = await getRecruiterStats(req.user);
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const recordAudit = require('../utils/audit');
+const { hashToken } = require('../utils/tokens');
+const { processDataExport, cleanupExpiredExports } = require('../utils/dataExport');
+
+// Admins who manage users can export anyone's data, everyone else their own
+const canAccessExport = (user, dataExport) => {
+  const ownerId = dataExport.user._id || dataExport.user;
+  return ownerId.toString() === user._id.toString() ||
+    (user.role === 'admin' && user.hasPermission('manage_users'));
+};
+
+// @desc    Request personal data export
+// @route   POST /api/data-exports
+// @access  Private
+const requestDataExport = async (req, res, next) => {
+  try {
+    let userId = req.user._id;
+
+    if (req.body.userId && req.body.userId.toString() !== req.user._id.toString()) {
+      if (req.user.role !== 'admin' || !req.user.hasPermission('manage_users')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only export your own data'
+        });
+      }
+
+      const user = await User.findById(req.body.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      userId = user._id;
+    }
+
+    // One export at a time per user
+    const inProgress = await DataExport.findOne({
+      user: userId,
+      status: { $in: ['queued', 'processing'] }
+    });
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        message: 'An export for this user is already in progress',
+        data: inProgress
+      });
+    }
+
+    const dataExport = await DataExport.create({
+      user: userId,
+      requestedBy: req.user._id
+    });
+
+    await recordAudit({
+      action: 'data_export.requested',
+      req,
+      targetUser: userId,
+      metadata: { dataExport: dataExport._id }
+    });
+
+    // Build the archive after responding; the user is emailed a link when done
+    setImmediate(() => {
+      processDataExport(dataExport._id).catch(error => console.error('Data export error:', error));
+      cleanupExpiredExports().catch(error => console.error('Data export cleanup error:', error));
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Your export is being prepared. We will email you a download link when it is ready.',
+      data: dataExport
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get data exports
+// @route   GET /api/data-exports
+// @access  Private
+const getDataExports = async (req, res, next) => {
+  try {
+    const query = { user: req.user._id };
+
+    if (req.query.userId && req.user.role === 'admin' && req.user.hasPermission('manage_users')) {
+      query.user = req.query.userId;
+    }
+
+    const dataExports = await DataExport.find(query)
+      .populate('requestedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.status(200).json({
+      success: true,
+      count: dataExports.length,
+      data: dataExports
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get data export status
+// @route   GET /api/data-exports/:id
+// @access  Private
+const getDataExport = async (req, res, next) => {
+  try {
+    const dataExport = await DataExport.findById(req.params.id)
+      .populate('requestedBy', 'firstName lastName email');
+
+    if (!dataExport || !canAccessExport(req.user, dataExport)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Data export not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: dataExport
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download data export archive
+// @route   GET /api/data-exports/:id/download?token=
+// @access  Public (download token)
+const downloadDataExport = async (req, res, next) => {
+  try {
+    const { token } = req.query;
+
+    const dataExport = token && await DataExport.findOne({
+      _id: req.params.id,
+      downloadTokenHash: hashToken(token)
+    }).select('+filePath');
+
+    if (!dataExport || !dataExport.isDownloadable() || !fs.existsSync(dataExport.filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    dataExport.downloadedAt = new Date();
+    await dataExport.save();
+
+    await recordAudit({
+      action: 'data_export.downloaded',
+      req,
+      actor: null,
+      targetUser: dataExport.user,
+      metadata: { dataExport: dataExport._id }
+    });
+
+    res.download(dataExport.filePath, `personal-data-${dataExport.completedAt.toISOString().slice(0, 10)}.zip`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requestDataExport,
+  getDataExports,
+  getDataExport,
+  downloadDataExport
+};
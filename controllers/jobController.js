@@ -1,5 +1,22 @@
 const Job = require('../models/Job');
 const Application = require('../models/Application');
+const JobRevision = require('../models/JobRevision');
+const { recruiterJobsQuery, isJobTeamMember } = require('../utils/jobAccess');
+const { filterWritableFields, sendFieldErrors } = require('../utils/fieldAccess');
+const { recordBaseline, saveJobWithRevision, getRestoreData } = require('../utils/jobRevisions');
+const { hideKnockoutCriteria } = require('../utils/screening');
+const { getActivationBlock } = require('../utils/requisitions');
+const {
+  getModerationSettings,
+  requiresReview,
+  isApproved,
+  submitForReview,
+  markApproved,
+  handleJobEdit
+} = require('../utils/jobModeration');
+const recordAudit = require('../utils/audit');
+const sendEmail = require('../utils/sendEmail');
+const { jobApprovedEmail, jobRejectedEmail } = require('../utils/emailTemplates');
 
 // @desc    Get all jobs with filtering and pagination
 // @route   GET /api/jobs
@@ -10,8 +27,9 @@ const getJobs = async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Build query
-    let query = { status: 'active' };
+    // Build query. Jobs past their deadline are left out even before the
+    // scheduler gets to close them.
+    let query = { status: 'active', applicationDeadline: { $gt: new Date() } };
 
     // Filters
     if (req.query.type) query.type = req.query.type;
@@ -62,7 +80,9 @@ const getJobs = async (req, res, next) => {
     }
 
     const jobs = await Job.find(query)
+      .select('-screeningQuestions.knockout')
       .populate('postedBy', 'firstName lastName company')
+      .populate('companyId', 'name slug logo')
       .sort(sort)
       .skip(skip)
       .limit(limit);
@@ -88,7 +108,8 @@ const getJobs = async (req, res, next) => {
 const getJob = async (req, res, next) => {
   try {
     const job = await Job.findById(req.params.id)
-      .populate('postedBy', 'firstName lastName company email phone');
+      .populate('postedBy', 'firstName lastName company email phone')
+      .populate('companyId', 'name slug logo website industry size location');
 
     if (!job) {
       return res.status(404).json({
@@ -97,14 +118,24 @@ const getJob = async (req, res, next) => {
       });
     }
 
-    // Increment views if user is not the poster
-    if (!req.user || req.user._id.toString() !== job.postedBy._id.toString()) {
+    const isTeam = req.user && (isJobTeamMember(req.user, job) || req.user.role === 'admin');
+
+    // Postings waiting for review are not public yet
+    if (job.status === 'pending_review' && !isTeam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    // Increment views if user is not on the job's team
+    if (!req.user || !isJobTeamMember(req.user, job)) {
       await job.incrementViews();
     }
 
     res.status(200).json({
       success: true,
-      data: job
+      data: isTeam ? job : hideKnockoutCriteria(job)
     });
   } catch (error) {
     next(error);
@@ -116,10 +147,48 @@ const getJob = async (req, res, next) => {
 // @access  Private/Recruiter
 const createJob = async (req, res, next) => {
   try {
-    // Add user to req.body
-    req.body.postedBy = req.user.id;
+    const { data, errors } = filterWritableFields('job:create', req.user.role, req.body);
+    if (errors.length > 0) {
+      return sendFieldErrors(res, errors);
+    }
+
+    if (data.status === 'pending_review') {
+      return sendFieldErrors(res, [{
+        field: 'status',
+        message: 'status cannot be set to pending_review: postings enter review when they are made active'
+      }]);
+    }
+
+    // Add user and their company team to the job
+    data.postedBy = req.user.id;
+    data.companyId = req.user.companyId || null;
+
+    // Scheduled jobs stay drafts until the scheduler publishes them
+    if (data.publishAt && new Date(data.publishAt) > new Date() && !data.status) {
+      data.status = 'draft';
+    }
 
-    const job = await Job.create(req.body);
+    const job = new Job(data);
+    job._changedBy = req.user.id;
+    job._statusReason = 'Job created';
+
+    // Jobs waiting for their requisition start as drafts
+    if (job.status === 'active' && await getActivationBlock(job)) {
+      job.status = 'draft';
+      job._statusReason = 'Job created, waiting for requisition approval';
+    }
+
+    // With moderation on, recruiters' postings wait for an admin
+    if (requiresReview(req.user)) {
+      if (job.status === 'active') {
+        await submitForReview(job, req.user.id, 'Job created, submitted for review');
+      }
+    } else if (getModerationSettings().enabled) {
+      markApproved(job, req.user.id);
+    }
+
+    await job.save();
+    await recordBaseline(job, req.user.id);
 
     res.status(201).json({
       success: true,
@@ -144,18 +213,45 @@ const updateJob = async (req, res, next) => {
       });
     }
 
-    // Make sure user is job owner or admin
-    if (job.postedBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Make sure user is on the job's team or admin
+    if (!isJobTeamMember(req.user, job) && req.user.role !== 'admin') {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to update this job'
       });
     }
 
-    job = await Job.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
+    const { data, errors } = filterWritableFields('job:update', req.user.role, req.body);
+    if (errors.length > 0) {
+      return sendFieldErrors(res, errors);
+    }
+
+    // Open jobs can only be moved to a requisition that is already approved
+    if (data.requisition !== undefined && ['active', 'pending_review'].includes(job.status)) {
+      const block = await getActivationBlock({ requisition: data.requisition });
+      if (block) {
+        return res.status(400).json({
+          success: false,
+          message: block
+        });
+      }
+    }
+
+    // A new deadline gets its own reminder
+    if (data.applicationDeadline) {
+      data.deadlineReminderSentAt = null;
+    }
+
+    const previousRevision = job.revision;
+    const { conflict } = await saveJobWithRevision(job, data, req.user.id, {
+      beforeSave: (changedJob) => handleJobEdit(changedJob, req.user, previousRevision)
     });
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: 'The job was changed by someone else, reload it and try again'
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -180,8 +276,8 @@ const deleteJob = async (req, res, next) => {
       });
     }
 
-    // Make sure user is job owner or admin
-    if (job.postedBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Make sure user is on the job's team or admin
+    if (!isJobTeamMember(req.user, job) && req.user.role !== 'admin') {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to delete this job'
@@ -189,6 +285,7 @@ const deleteJob = async (req, res, next) => {
     }
 
     await job.deleteOne();
+    await JobRevision.deleteMany({ job: job._id });
 
     res.status(200).json({
       success: true,
@@ -199,7 +296,7 @@ const deleteJob = async (req, res, next) => {
   }
 };
 
-// @desc    Get jobs posted by current user
+// @desc    Get jobs posted by current user or their company team
 // @route   GET /api/jobs/my-jobs
 // @access  Private/Recruiter
 const getMyJobs = async (req, res, next) => {
@@ -208,12 +305,15 @@ const getMyJobs = async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const jobs = await Job.find({ postedBy: req.user.id })
+    const query = recruiterJobsQuery(req.user);
+
+    const jobs = await Job.find(query)
+      .populate('postedBy', 'firstName lastName')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await Job.countDocuments({ postedBy: req.user.id });
+    const total = await Job.countDocuments(query);
 
     res.status(200).json({
       success: true,
@@ -245,7 +345,8 @@ const searchJobs = async (req, res, next) => {
 // @access  Public
 const getFeaturedJobs = async (req, res, next) => {
   try {
-    const jobs = await Job.find({ featured: true, status: 'active' })
+    const jobs = await Job.find({ featured: true, status: 'active', applicationDeadline: { $gt: new Date() } })
+      .select('-screeningQuestions.knockout')
       .populate('postedBy', 'firstName lastName company')
       .sort({ createdAt: -1 })
       .limit(6);
@@ -274,8 +375,8 @@ const getJobStats = async (req, res, next) => {
       });
     }
 
-    // Make sure user is job owner or admin
-    if (job.postedBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Make sure user is on the job's team or admin
+    if (!isJobTeamMember(req.user, job) && req.user.role !== 'admin') {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to view job statistics'
@@ -320,15 +421,52 @@ const toggleJobStatus = async (req, res, next) => {
       });
     }
 
-    // Make sure user is job owner or admin
-    if (job.postedBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Make sure user is on the job's team or admin
+    if (!isJobTeamMember(req.user, job) && req.user.role !== 'admin') {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to update this job'
       });
     }
 
+    if (status === 'active' && job.isExpired) {
+      return res.status(400).json({
+        success: false,
+        message: 'Application deadline has passed, extend it before reopening the job'
+      });
+    }
+
+    if (status === 'active') {
+      const block = await getActivationBlock(job);
+      if (block) {
+        return res.status(400).json({
+          success: false,
+          message: block
+        });
+      }
+    }
+
+    // Content that has not been approved goes to the review queue instead
+    if (status === 'active' && !isApproved(job)) {
+      if (requiresReview(req.user)) {
+        if (job.status !== 'pending_review') {
+          await submitForReview(job, req.user.id);
+          await job.save();
+        }
+
+        return res.status(202).json({
+          success: true,
+          message: 'Job submitted for review',
+          data: job
+        });
+      }
+
+      markApproved(job, req.user.id);
+    }
+
     job.status = status;
+    job._changedBy = req.user.id;
+    job._statusReason = req.body.reason;
     await job.save();
 
     res.status(200).json({
@@ -354,8 +492,8 @@ const duplicateJob = async (req, res, next) => {
       });
     }
 
-    // Make sure user is job owner or admin
-    if (originalJob.postedBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Make sure user is on the job's team or admin
+    if (!isJobTeamMember(req.user, originalJob) && req.user.role !== 'admin') {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to duplicate this job'
@@ -369,11 +507,20 @@ const duplicateJob = async (req, res, next) => {
     delete jobData.updatedAt;
     delete jobData.applicationsCount;
     delete jobData.viewsCount;
+    delete jobData.timeline;
+    delete jobData.publishAt;
+    delete jobData.deadlineReminderSentAt;
+    delete jobData.revision;
+    delete jobData.moderation;
     
     jobData.title = `${jobData.title} (Copy)`;
     jobData.status = 'draft';
 
-    const newJob = await Job.create(jobData);
+    const newJob = new Job(jobData);
+    newJob._changedBy = req.user.id;
+    newJob._statusReason = `Duplicated from job ${originalJob._id}`;
+    await newJob.save();
+    await recordBaseline(newJob, req.user.id);
 
     res.status(201).json({
       success: true,
@@ -384,6 +531,338 @@ const duplicateJob = async (req, res, next) => {
   }
 };
 
+// @desc    Get a job's revision history
+// @route   GET /api/jobs/:id/revisions
+// @access  Private/Recruiter (own jobs) or Admin
+const getJobRevisions = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    // Make sure user is on the job's team or admin
+    if (!isJobTeamMember(req.user, job) && req.user.role !== 'admin') {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to view this job\'s history'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const revisions = await JobRevision.find({ job: job._id })
+      .populate('changedBy', 'firstName lastName email')
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await JobRevision.countDocuments({ job: job._id });
+
+    res.status(200).json({
+      success: true,
+      currentRevision: job.revision,
+      count: revisions.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: revisions.map(revision => revision.toSummary())
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Find a job and one of its revisions for the revision endpoints
+const findJobRevision = async (req, res) => {
+  const job = await Job.findById(req.params.id);
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+    return {};
+  }
+
+  // Make sure user is on the job's team or admin
+  if (!isJobTeamMember(req.user, job) && req.user.role !== 'admin') {
+    res.status(401).json({
+      success: false,
+      message: 'Not authorized to view this job\'s history'
+    });
+    return {};
+  }
+
+  const revisionNumber = parseInt(req.params.revision);
+  const revision = Number.isNaN(revisionNumber)
+    ? null
+    : await JobRevision.findOne({ job: job._id, revision: revisionNumber })
+      .populate('changedBy', 'firstName lastName email');
+
+  if (!revision) {
+    res.status(404).json({
+      success: false,
+      message: 'Revision not found'
+    });
+    return {};
+  }
+
+  return { job, revision };
+};
+
+// @desc    Get a past version of a job
+// @route   GET /api/jobs/:id/revisions/:revision
+// @access  Private/Recruiter (own jobs) or Admin
+const getJobRevision = async (req, res, next) => {
+  try {
+    const { revision } = await findJobRevision(req, res);
+    if (!revision) return;
+
+    const applicationsCount = await Application.countDocuments({
+      job: revision.job,
+      jobRevision: revision.revision
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...revision.toObject(),
+        applicationsCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore a job to a past version
+// @route   POST /api/jobs/:id/revisions/:revision/restore
+// @access  Private/Recruiter (own jobs) or Admin
+const restoreJobRevision = async (req, res, next) => {
+  try {
+    const { job, revision } = await findJobRevision(req, res);
+    if (!revision) return;
+
+    if (revision.revision === job.revision) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already the current version of the job'
+      });
+    }
+
+    // Open jobs can only be moved back to a requisition that is approved
+    const data = getRestoreData(revision);
+    const requisitionChanged = String(data.requisition || '') !== String(job.requisition || '');
+    if (requisitionChanged && ['active', 'pending_review'].includes(job.status)) {
+      const block = await getActivationBlock({ requisition: data.requisition });
+      if (block) {
+        return res.status(400).json({
+          success: false,
+          message: block
+        });
+      }
+    }
+
+    const previousRevision = job.revision;
+    const result = await saveJobWithRevision(job, data, req.user.id, {
+      restoredFrom: revision.revision,
+      beforeSave: (changedJob) => handleJobEdit(changedJob, req.user, previousRevision)
+    });
+    if (result.conflict) {
+      return res.status(409).json({
+        success: false,
+        message: 'The job was changed by someone else, reload it and try again'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.revision
+        ? `Revision ${revision.revision} restored as revision ${result.revision.revision}`
+        : 'The job already matches this revision',
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get postings in the moderation queue
+// @route   GET /api/jobs/moderation
+// @access  Private/Admin
+const getModerationQueue = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const moderationStatus = req.query.status || 'pending';
+    if (!['pending', 'approved', 'rejected'].includes(moderationStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be pending, approved or rejected'
+      });
+    }
+
+    const query = { 'moderation.status': moderationStatus };
+    if (moderationStatus === 'pending') query.status = 'pending_review';
+    if (req.query.flagged === 'true') query['moderation.flags.0'] = { $exists: true };
+
+    const jobs = await Job.find(query)
+      .populate('postedBy', 'firstName lastName email')
+      .populate('companyId', 'name slug')
+      .populate('moderation.reviewedBy', 'firstName lastName')
+      .sort(moderationStatus === 'pending' ? { 'moderation.submittedAt': 1 } : { 'moderation.reviewedAt': -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Job.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: jobs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Find a job waiting for review for the moderation endpoints
+const findPendingJob = async (req, res) => {
+  const job = await Job.findById(req.params.id).populate('postedBy', 'firstName lastName email');
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+    return null;
+  }
+
+  if (job.status !== 'pending_review') {
+    res.status(400).json({
+      success: false,
+      message: 'Job is not waiting for review'
+    });
+    return null;
+  }
+
+  return job;
+};
+
+// The decision stands even if the notification cannot be delivered
+const notifyPoster = async (job, template) => {
+  if (!job.postedBy || !job.postedBy.email) return;
+
+  try {
+    await sendEmail({ to: job.postedBy.email, ...template });
+  } catch (emailError) {
+    console.error('Job moderation email error:', emailError);
+  }
+};
+
+// @desc    Approve a posting
+// @route   PATCH /api/jobs/:id/approve
+// @access  Private/Admin
+const approveJob = async (req, res, next) => {
+  try {
+    const job = await findPendingJob(req, res);
+    if (!job) return;
+
+    if (job.isExpired) {
+      return res.status(400).json({
+        success: false,
+        message: 'Application deadline has passed, the recruiter needs to extend it first'
+      });
+    }
+
+    const note = typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim() : null;
+
+    markApproved(job, req.user._id, note);
+    // Scheduled postings go live at their publish time, and postings whose
+    // requisition is still open once it is approved
+    const waiting = (job.publishAt && job.publishAt > new Date()) || await getActivationBlock(job);
+    job.status = waiting ? 'draft' : 'active';
+    job._changedBy = req.user._id;
+    job._statusReason = note ? `Approved: ${note}` : 'Approved';
+    await job.save();
+
+    await recordAudit({
+      action: 'job.approved',
+      req,
+      targetUser: job.postedBy ? job.postedBy._id : null,
+      metadata: { job: job._id, revision: job.revision, note }
+    });
+
+    await notifyPoster(job, jobApprovedEmail(job.postedBy, job, note));
+
+    res.status(200).json({
+      success: true,
+      message: 'Job approved',
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reject a posting
+// @route   PATCH /api/jobs/:id/reject
+// @access  Private/Admin
+const rejectJob = async (req, res, next) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for the rejection'
+      });
+    }
+
+    const job = await findPendingJob(req, res);
+    if (!job) return;
+
+    job.moderation.status = 'rejected';
+    job.moderation.reviewedBy = req.user._id;
+    job.moderation.reviewedAt = new Date();
+    job.moderation.reason = reason;
+    // Back to a draft the recruiter can fix and resubmit
+    job.status = 'draft';
+    job._changedBy = req.user._id;
+    job._statusReason = `Rejected: ${reason}`;
+    await job.save();
+
+    await recordAudit({
+      action: 'job.rejected',
+      req,
+      targetUser: job.postedBy ? job.postedBy._id : null,
+      metadata: { job: job._id, revision: job.revision, reason }
+    });
+
+    await notifyPoster(job, jobRejectedEmail(job.postedBy, job, reason));
+
+    res.status(200).json({
+      success: true,
+      message: 'Job rejected',
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getJobs,
   getJob,
@@ -395,5 +874,11 @@ module.exports = {
   getFeaturedJobs,
   getJobStats,
   toggleJobStatus,
-  duplicateJob
+  duplicateJob,
+  getJobRevisions,
+  getJobRevision,
+  restoreJobRevision,
+  getModerationQueue,
+  approveJob,
+  rejectJob
 };
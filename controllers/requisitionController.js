@@ -0,0 +1,370 @@
+const Requisition = require('../models/Requisition');
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const recordAudit = require('../utils/audit');
+const { filterWritableFields, sendFieldErrors } = require('../utils/fieldAccess');
+const { buildApprovalSteps, notifyApprovers, notifyRequester } = require('../utils/requisitions');
+
+const isSameUser = (a, b) => String(a._id || a) === String(b._id || b);
+
+// Admins managing jobs, the requester's team and the approvers can see a requisition
+const canViewRequisition = (user, requisition) => {
+  return user.hasPermission('manage_jobs') ||
+    isSameUser(requisition.requestedBy, user) ||
+    (!!requisition.companyId && user.isCompanyMember(requisition.companyId._id || requisition.companyId)) ||
+    requisition.approvalSteps.some(step => step.approvers.some(approver => isSameUser(approver, user)));
+};
+
+// The requester, their company's owners and admins can cancel a requisition
+const canCancelRequisition = (user, requisition) => {
+  return user.hasPermission('manage_jobs') ||
+    isSameUser(requisition.requestedBy, user) ||
+    (!!requisition.companyId && user.isCompanyMember(requisition.companyId, 'owner'));
+};
+
+const findRequisition = (id) => {
+  return Requisition.findById(id)
+    .populate('requestedBy', 'firstName lastName email')
+    .populate('companyId', 'name slug')
+    .populate('approvalSteps.approvers', 'firstName lastName email')
+    .populate('approvalSteps.decidedBy', 'firstName lastName')
+    .populate('comments.author', 'firstName lastName');
+};
+
+// @desc    Get requisitions
+// @route   GET /api/requisitions
+// @access  Private/Recruiter/Admin
+const getRequisitions = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const conditions = [];
+
+    // Everyone but admins sees their team's requisitions and the ones they approve
+    if (!req.user.hasPermission('manage_jobs')) {
+      const visible = [{ requestedBy: req.user._id }, { 'approvalSteps.approvers': req.user._id }];
+      if (req.user.companyId) visible.push({ companyId: req.user.companyId });
+      conditions.push({ $or: visible });
+    }
+
+    if (req.query.status) conditions.push({ status: req.query.status });
+
+    // Requisitions waiting for the current user's decision
+    if (req.query.awaiting === 'me') {
+      const approverMatch = req.user.hasPermission('manage_jobs')
+        ? { $or: [{ approvers: req.user._id }, { approvers: { $size: 0 } }] }
+        : { approvers: req.user._id };
+      conditions.push({
+        status: 'pending',
+        approvalSteps: { $elemMatch: { status: 'pending', ...approverMatch } }
+      });
+    }
+
+    const query = conditions.length > 0 ? { $and: conditions } : {};
+
+    const requisitions = await Requisition.find(query)
+      .populate('requestedBy', 'firstName lastName email')
+      .populate('companyId', 'name slug')
+      .select('-comments')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Requisition.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: requisitions.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: requisitions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single requisition with its linked jobs
+// @route   GET /api/requisitions/:id
+// @access  Private/Recruiter/Admin
+const getRequisition = async (req, res, next) => {
+  try {
+    const requisition = await findRequisition(req.params.id);
+
+    if (!requisition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Requisition not found'
+      });
+    }
+
+    if (!canViewRequisition(req.user, requisition)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this requisition'
+      });
+    }
+
+    const jobs = await Job.find({ requisition: requisition._id }).select('title status salary applicationDeadline');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...requisition.toObject(),
+        jobs
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create requisition and start its approval chain
+// @route   POST /api/requisitions
+// @access  Private/Recruiter/Admin
+const createRequisition = async (req, res, next) => {
+  try {
+    const { data, errors } = filterWritableFields('requisition:create', req.user.role, req.body);
+    if (errors.length > 0) {
+      return sendFieldErrors(res, errors);
+    }
+
+    const company = req.user.companyId ? await Company.findById(req.user.companyId) : null;
+
+    const requisition = await Requisition.create({
+      ...data,
+      number: Requisition.generateNumber(),
+      requestedBy: req.user._id,
+      companyId: req.user.companyId || null,
+      approvalSteps: buildApprovalSteps(company)
+    });
+
+    await recordAudit({
+      action: 'requisition.created',
+      req,
+      metadata: { requisition: requisition._id, number: requisition.number }
+    });
+
+    await notifyApprovers(requisition, requisition.currentStep);
+
+    res.status(201).json({
+      success: true,
+      data: requisition
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve or reject the current step of a requisition
+const decideRequisition = async (req, res, approved) => {
+  const comment = typeof req.body.comment === 'string' && req.body.comment.trim() ? req.body.comment.trim() : null;
+
+  if (!approved && !comment) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a reason for the rejection'
+    });
+  }
+
+  const requisition = await Requisition.findById(req.params.id);
+
+  if (!requisition) {
+    return res.status(404).json({
+      success: false,
+      message: 'Requisition not found'
+    });
+  }
+
+  if (requisition.status !== 'pending') {
+    return res.status(400).json({
+      success: false,
+      message: `Requisition is already ${requisition.status}`
+    });
+  }
+
+  if (!requisition.canDecide(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You are not an approver for the current step'
+    });
+  }
+
+  const step = requisition.currentStep;
+  const nextStep = requisition.decide(req.user, approved, comment);
+
+  try {
+    await requisition.save();
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The requisition was changed by someone else, reload it and try again'
+      });
+    }
+    throw error;
+  }
+
+  await recordAudit({
+    action: approved ? 'requisition.step_approved' : 'requisition.rejected',
+    req,
+    targetUser: requisition.requestedBy,
+    metadata: { requisition: requisition._id, number: requisition.number, step: step.name, comment }
+  });
+
+  if (nextStep) {
+    await notifyApprovers(requisition, nextStep);
+  } else {
+    await notifyRequester(requisition, comment);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: nextStep ? `Approved, waiting for ${nextStep.name}` : `Requisition ${requisition.status}`,
+    data: requisition
+  });
+};
+
+// @desc    Approve the current step of a requisition
+// @route   POST /api/requisitions/:id/approve
+// @access  Private/Approver or Admin
+const approveRequisition = async (req, res, next) => {
+  try {
+    await decideRequisition(req, res, true);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reject a requisition
+// @route   POST /api/requisitions/:id/reject
+// @access  Private/Approver or Admin
+const rejectRequisition = async (req, res, next) => {
+  try {
+    await decideRequisition(req, res, false);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Comment on a requisition
+// @route   POST /api/requisitions/:id/comments
+// @access  Private/Recruiter/Admin
+const addRequisitionComment = async (req, res, next) => {
+  try {
+    const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment cannot be empty'
+      });
+    }
+
+    const requisition = await Requisition.findById(req.params.id);
+
+    if (!requisition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Requisition not found'
+      });
+    }
+
+    if (!canViewRequisition(req.user, requisition)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to comment on this requisition'
+      });
+    }
+
+    // Pushed atomically so comments never clash with a decision being saved
+    const updated = await Requisition.findByIdAndUpdate(
+      requisition._id,
+      { $push: { comments: { author: req.user._id, content, createdAt: new Date() } } },
+      { new: true, runValidators: true }
+    ).populate('comments.author', 'firstName lastName');
+
+    res.status(201).json({
+      success: true,
+      data: updated.comments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a pending requisition
+// @route   PATCH /api/requisitions/:id/cancel
+// @access  Private/Requester, company owner or Admin
+const cancelRequisition = async (req, res, next) => {
+  try {
+    const requisition = await Requisition.findById(req.params.id);
+
+    if (!requisition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Requisition not found'
+      });
+    }
+
+    if (!canCancelRequisition(req.user, requisition)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this requisition'
+      });
+    }
+
+    if (requisition.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Requisition is already ${requisition.status}`
+      });
+    }
+
+    requisition.approvalSteps.forEach(step => {
+      if (['pending', 'waiting'].includes(step.status)) step.status = 'skipped';
+    });
+    requisition.status = 'cancelled';
+    requisition.decidedAt = new Date();
+
+    try {
+      await requisition.save();
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return res.status(409).json({
+          success: false,
+          message: 'The requisition was changed by someone else, reload it and try again'
+        });
+      }
+      throw error;
+    }
+
+    await recordAudit({
+      action: 'requisition.cancelled',
+      req,
+      targetUser: requisition.requestedBy,
+      metadata: { requisition: requisition._id, number: requisition.number }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Requisition cancelled',
+      data: requisition
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRequisitions,
+  getRequisition,
+  createRequisition,
+  approveRequisition,
+  rejectRequisition,
+  addRequisitionComment,
+  cancelRequisition
+};
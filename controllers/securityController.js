@@ -0,0 +1,96 @@
+const SecurityPolicy = require('../models/SecurityPolicy');
+const AuditLog = require('../models/AuditLog');
+
+const ROLES = ['applicant', 'recruiter', 'admin'];
+
+// @desc    Get security policy
+// @route   GET /api/security/policy
+// @access  Private/Admin
+const getSecurityPolicy = async (req, res, next) => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update security policy
+// @route   PUT /api/security/policy
+// @access  Private/Admin
+const updateSecurityPolicy = async (req, res, next) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+    const update = { updatedBy: req.user.id };
+
+    if (twoFactorRequiredRoles !== undefined) {
+      if (!Array.isArray(twoFactorRequiredRoles) || twoFactorRequiredRoles.some(role => !ROLES.includes(role))) {
+        return res.status(400).json({
+          success: false,
+          message: `twoFactorRequiredRoles must be a list of: ${ROLES.join(', ')}`
+        });
+      }
+      update.twoFactorRequiredRoles = [...new Set(twoFactorRequiredRoles)];
+    }
+
+    const policy = await SecurityPolicy.findOneAndUpdate(
+      { key: 'default' },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    SecurityPolicy.clearCache();
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get audit log entries
+// @route   GET /api/security/audit-logs
+// @access  Private/Admin
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.action) query.action = req.query.action;
+    if (req.query.actor) query.actor = req.query.actor;
+    if (req.query.targetUser) query.targetUser = req.query.targetUser;
+
+    const logs = await AuditLog.find(query)
+      .populate('actor', 'firstName lastName email')
+      .populate('targetUser', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: logs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSecurityPolicy,
+  updateSecurityPolicy,
+  getAuditLogs
+};
@@ -1,4 +1,86 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const ErasureCertificate = require('../models/ErasureCertificate');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const recordAudit = require('../utils/audit');
+const sendEmail = require('../utils/sendEmail');
+const { recruiterApprovedEmail, recruiterRejectedEmail } = require('../utils/emailTemplates');
+const { unlockAccount } = require('../utils/loginThrottle');
+const { PERMISSIONS } = require('../config/permissions');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { toCsv } = require('../utils/csv');
+const { filterWritableFields, sendFieldErrors } = require('../utils/fieldAccess');
+const { eraseUser: planErasure, eraseUserWithCertificate } = require('../utils/erasure');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Most users a CSV export will contain
+const USER_EXPORT_LIMIT = 10000;
+
+// Build the user directory query from the request filters. Only active
+// users are listed unless `active` is `false` or `all`.
+const buildUserQuery = (filters) => {
+  const query = {};
+
+  if (filters.active !== 'all') {
+    query.isActive = filters.active !== 'false';
+  }
+  if (filters.role) query.role = filters.role;
+  if (filters.verified) query.isEmailVerified = filters.verified === 'true';
+
+  if (filters.company) {
+    if (mongoose.isValidObjectId(filters.company)) {
+      query.companyId = filters.company;
+    } else {
+      query.company = new RegExp(escapeRegExp(filters.company), 'i');
+    }
+  }
+
+  // Every word must match the first name, last name or email
+  if (filters.search) {
+    query.$and = filters.search.trim().split(/\s+/).filter(Boolean).map(word => {
+      const pattern = new RegExp(escapeRegExp(word), 'i');
+      return { $or: [{ firstName: pattern }, { lastName: pattern }, { email: pattern }] };
+    });
+  }
+
+  return query;
+};
+
+const getUserSort = (sortOption) => {
+  switch (sortOption) {
+    case 'oldest':
+      return { createdAt: 1 };
+    case 'name':
+      return { lastName: 1, firstName: 1 };
+    case 'name_desc':
+      return { lastName: -1, firstName: -1 };
+    case 'email':
+      return { email: 1 };
+    case 'last_login':
+      return { lastLogin: -1 };
+    case 'newest':
+    default:
+      return { createdAt: -1 };
+  }
+};
+
+const USER_CSV_COLUMNS = [
+  { header: 'ID', value: user => user._id },
+  { header: 'First name', value: user => user.firstName },
+  { header: 'Last name', value: user => user.lastName },
+  { header: 'Email', value: user => user.email },
+  { header: 'Role', value: user => user.role },
+  { header: 'Active', value: user => user.isActive },
+  { header: 'Email verified', value: user => user.isEmailVerified },
+  { header: 'Company', value: user => (user.companyId && user.companyId.name) || user.company },
+  { header: 'Company role', value: user => user.companyRole },
+  { header: 'Recruiter status', value: user => user.recruiterStatus },
+  { header: 'Two-factor', value: user => user.twoFactorEnabled },
+  { header: 'Last login', value: user => user.lastLogin },
+  { header: 'Created', value: user => user.createdAt }
+];
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -9,13 +91,16 @@ const getUsers = async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const users = await User.find({ isActive: true })
+    const query = buildUserQuery(req.query);
+
+    const users = await User.find(query)
       .select('-password')
-      .sort({ createdAt: -1 })
+      .populate('companyId', 'name slug')
+      .sort(getUserSort(req.query.sort))
       .skip(skip)
       .limit(limit);
 
-    const total = await User.countDocuments({ isActive: true });
+    const total = await User.countDocuments(query);
 
     res.status(200).json({
       success: true,
@@ -30,6 +115,41 @@ const getUsers = async (req, res, next) => {
   }
 };
 
+// @desc    Export users as CSV
+// @route   GET /api/users/export
+// @access  Private/Admin
+const exportUsers = async (req, res, next) => {
+  try {
+    const query = buildUserQuery(req.query);
+    const total = await User.countDocuments(query);
+
+    if (total > USER_EXPORT_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many users to export (${total}), narrow the filters to at most ${USER_EXPORT_LIMIT}`
+      });
+    }
+
+    const users = await User.find(query)
+      .populate('companyId', 'name')
+      .sort(getUserSort(req.query.sort))
+      .lean();
+
+    await recordAudit({
+      action: 'user.exported',
+      req,
+      metadata: { count: users.length, filters: req.query }
+    });
+
+    const filename = `users-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(toCsv(USER_CSV_COLUMNS, users));
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get user by ID
 // @route   GET /api/users/:id
 // @access  Private
@@ -44,8 +164,8 @@ const getUser = async (req, res, next) => {
       });
     }
 
-    // Users can only view their own profile unless they're admin
-    if (req.user.id !== req.params.id && req.user.role !== 'admin') {
+    // Users can only view their own profile unless they're an admin managing users
+    if (req.user.id !== req.params.id && !req.user.hasPermission('manage_users')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this profile'
@@ -66,9 +186,26 @@ const getUser = async (req, res, next) => {
 // @access  Private/Admin
 const updateUser = async (req, res, next) => {
   try {
+    const { data, errors } = filterWritableFields('user:update', req.user.role, req.body);
+    if (errors.length > 0) {
+      return sendFieldErrors(res, errors);
+    }
+
+    // Users turned into recruiters join the review queue like self-registered
+    // ones; the update skips the save hook that would otherwise do it
+    if (data.role === 'recruiter') {
+      const current = await User.findById(req.params.id).select('role');
+      if (current && current.role !== 'recruiter') {
+        data.recruiterStatus = 'pending';
+        data.recruiterReviewedBy = null;
+        data.recruiterReviewedAt = null;
+        data.recruiterRejectionReason = null;
+      }
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      data,
       {
         new: true,
         runValidators: true
@@ -91,6 +228,37 @@ const updateUser = async (req, res, next) => {
   }
 };
 
+// Deactivate or reactivate an account. Deactivated users are signed out
+// everywhere. Returns whether the user changed, or why it was refused.
+const setAccountActive = async (req, user, isActive) => {
+  if (!isActive && user._id.toString() === req.user._id.toString()) {
+    return { updated: false, error: 'You cannot deactivate your own account' };
+  }
+
+  if (isActive && user.anonymizedAt) {
+    return { updated: false, error: 'Erased users cannot be reactivated' };
+  }
+
+  if (user.isActive === isActive) {
+    return { updated: false, error: null };
+  }
+
+  user.isActive = isActive;
+  await user.save();
+
+  if (!isActive) {
+    await Session.revokeAllForUser(user._id, 'user_deactivated');
+  }
+
+  await recordAudit({
+    action: isActive ? 'user.reactivated' : 'user.deactivated',
+    req,
+    targetUser: user._id
+  });
+
+  return { updated: true, error: null };
+};
+
 // @desc    Delete user
 // @route   DELETE /api/users/:id
 // @access  Private/Admin
@@ -105,9 +273,14 @@ const deleteUser = async (req, res, next) => {
       });
     }
 
-    // Soft delete - deactivate user
-    user.isActive = false;
-    await user.save();
+    // Soft delete - deactivate user and sign out all their sessions
+    const { error } = await setAccountActive(req, user, false);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -118,6 +291,738 @@ const deleteUser = async (req, res, next) => {
   }
 };
 
+// @desc    Reactivate a deactivated user
+// @route   PATCH /api/users/:id/reactivate
+// @access  Private/Admin
+const reactivateUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { error } = await setAccountActive(req, user, true);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Apply setAccountActive to several users, reporting each one that was skipped
+const bulkSetAccountActive = async (req, res, isActive) => {
+  const userIds = [...new Set(req.body.userIds.map(String))];
+  const users = await User.find({ _id: { $in: userIds } });
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const updated = [];
+  const unchanged = [];
+  const skipped = [];
+
+  for (const id of userIds) {
+    const user = usersById.get(id);
+    if (!user) {
+      skipped.push({ id, reason: 'User not found' });
+      continue;
+    }
+
+    const result = await setAccountActive(req, user, isActive);
+    if (result.error) skipped.push({ id, reason: result.error });
+    else if (result.updated) updated.push(id);
+    else unchanged.push(id);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${updated.length} user${updated.length === 1 ? '' : 's'} ${isActive ? 'reactivated' : 'deactivated'}`,
+    data: { updated, unchanged, skipped }
+  });
+};
+
+// @desc    Deactivate several users
+// @route   POST /api/users/bulk/deactivate
+// @access  Private/Admin
+const bulkDeactivateUsers = async (req, res, next) => {
+  try {
+    await bulkSetAccountActive(req, res, false);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reactivate several users
+// @route   POST /api/users/bulk/reactivate
+// @access  Private/Admin
+const bulkReactivateUsers = async (req, res, next) => {
+  try {
+    await bulkSetAccountActive(req, res, true);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load a user whose personal data is about to be erased. Admin accounts
+// must be demoted first, and nobody can erase their own account here.
+const findUserForErasure = async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (user._id.toString() === req.user._id.toString()) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot erase your own account'
+    });
+    return null;
+  }
+
+  if (user.role === 'admin') {
+    res.status(400).json({
+      success: false,
+      message: 'Admin accounts must be changed to another role before they can be erased'
+    });
+    return null;
+  }
+
+  if (user.anonymizedAt) {
+    res.status(409).json({
+      success: false,
+      message: 'This user has already been erased'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// @desc    Preview what erasing a user would remove (dry run)
+// @route   GET /api/users/:id/erasure-preview
+// @access  Private/Admin
+const previewErasure = async (req, res, next) => {
+  try {
+    const user = await findUserForErasure(req, res);
+    if (!user) return;
+
+    const subject = { id: user._id, email: user.email, role: user.role };
+    const summary = await planErasure(user, { dryRun: true });
+
+    res.status(200).json({
+      success: true,
+      dryRun: true,
+      data: {
+        user: subject,
+        summary
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Erase a user's personal data (right to erasure)
+// @route   POST /api/users/:id/erase
+// @access  Private/Admin
+const eraseUser = async (req, res, next) => {
+  try {
+    if (req.body.confirm !== true) {
+      return res.status(400).json({
+        success: false,
+        message: 'Erasure cannot be undone. Send { "confirm": true } to proceed.'
+      });
+    }
+
+    if (req.body.reason !== undefined && (typeof req.body.reason !== 'string' || req.body.reason.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be text of at most 500 characters'
+      });
+    }
+
+    const user = await findUserForErasure(req, res);
+    if (!user) return;
+
+    const certificate = await eraseUserWithCertificate(user, {
+      performedBy: req.user._id,
+      reason: req.body.reason
+    });
+
+    await recordAudit({
+      action: 'user.erased',
+      req,
+      targetUser: user._id,
+      metadata: { certificateNumber: certificate.certificateNumber, reason: req.body.reason || null }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Personal data erased',
+      data: certificate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the erasure certificate for a user
+// @route   GET /api/users/:id/erasure-certificate
+// @access  Private/Admin
+const getErasureCertificate = async (req, res, next) => {
+  try {
+    const certificate = await ErasureCertificate.findOne({ subject: req.params.id })
+      .populate('performedBy', 'firstName lastName email')
+      .sort({ completedAt: -1 });
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'No erasure certificate found for this user'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...certificate.toObject(),
+        intact: certificate.isIntact()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load an admin whose permissions are being changed
+const findAdminForPermissions = async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (user.role !== 'admin') {
+    res.status(400).json({
+      success: false,
+      message: 'Permissions can only be assigned to admins'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Admins cannot take away their own ability to manage users
+const removesOwnUserManagement = (req, user, permissions) => {
+  return user._id.toString() === req.user.id && !permissions.includes('manage_users');
+};
+
+// Save a new permission list and audit the change
+const savePermissions = async (req, res, user, permissions) => {
+  const previous = [...user.permissions];
+
+  user.permissions = permissions;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAudit({
+    action: 'user.permissions_changed',
+    req,
+    targetUser: user._id,
+    metadata: { previous, current: permissions }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: user._id,
+      permissions: user.permissions
+    }
+  });
+};
+
+// @desc    Replace an admin's permissions
+// @route   PUT /api/users/:id/permissions
+// @access  Private/Admin
+const setPermissions = async (req, res, next) => {
+  try {
+    const { permissions } = req.body;
+
+    if (!Array.isArray(permissions) || permissions.some(permission => !PERMISSIONS.includes(permission))) {
+      return res.status(400).json({
+        success: false,
+        message: `permissions must be a list of: ${PERMISSIONS.join(', ')}`
+      });
+    }
+
+    const user = await findAdminForPermissions(req, res);
+    if (!user) return;
+
+    const uniquePermissions = [...new Set(permissions)];
+    if (removesOwnUserManagement(req, user, uniquePermissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own manage_users permission'
+      });
+    }
+
+    await savePermissions(req, res, user, uniquePermissions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Grant a permission to an admin
+// @route   POST /api/users/:id/permissions
+// @access  Private/Admin
+const grantPermission = async (req, res, next) => {
+  try {
+    const { permission } = req.body;
+
+    if (!PERMISSIONS.includes(permission)) {
+      return res.status(400).json({
+        success: false,
+        message: `permission must be one of: ${PERMISSIONS.join(', ')}`
+      });
+    }
+
+    const user = await findAdminForPermissions(req, res);
+    if (!user) return;
+
+    const permissions = [...new Set([...user.permissions, permission])];
+    await savePermissions(req, res, user, permissions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a permission from an admin
+// @route   DELETE /api/users/:id/permissions/:permission
+// @access  Private/Admin
+const revokePermission = async (req, res, next) => {
+  try {
+    const { permission } = req.params;
+
+    if (!PERMISSIONS.includes(permission)) {
+      return res.status(400).json({
+        success: false,
+        message: `permission must be one of: ${PERMISSIONS.join(', ')}`
+      });
+    }
+
+    const user = await findAdminForPermissions(req, res);
+    if (!user) return;
+
+    const permissions = user.permissions.filter(current => current !== permission);
+    if (removesOwnUserManagement(req, user, permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own manage_users permission'
+      });
+    }
+
+    await savePermissions(req, res, user, permissions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlock a user account locked after failed attempts
+// @route   PATCH /api/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await unlockAccount(user.email);
+
+    await recordAudit({
+      action: 'auth.unlock',
+      req,
+      targetUser: user._id,
+      metadata: { scope: 'account', subject: user.email, cleared: result.deletedCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User account unlocked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a user's active sessions
+// @route   GET /api/users/:id/sessions
+// @access  Private/Admin
+const getUserSessions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await Session.findActiveForUser(user._id)
+      .populate('impersonator', 'firstName lastName email');
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toDeviceSummary(),
+        impersonator: session.impersonator
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke one of a user's sessions
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @access  Private/Admin
+const revokeUserSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, user: req.params.id });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked_by_admin');
+
+    await recordAudit({
+      action: 'session.revoked',
+      req,
+      targetUser: session.user,
+      metadata: { sessionId: session._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke all of a user's sessions
+// @route   DELETE /api/users/:id/sessions
+// @access  Private/Admin
+const revokeUserSessions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await Session.revokeAllForUser(user._id, 'revoked_by_admin');
+
+    await recordAudit({
+      action: 'session.revoked_all',
+      req,
+      targetUser: user._id,
+      metadata: { revoked: result.modifiedCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Signed ${user.email} out of every device`,
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start impersonating a user
+// @route   POST /api/users/:id/impersonate
+// @access  Private/Admin
+const impersonateUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.role === 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Admins cannot be impersonated'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot impersonate a deactivated user'
+      });
+    }
+
+    const expireMinutes = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 15;
+    const expiresAt = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+    // Impersonation sessions cannot be refreshed: the refresh token is
+    // never handed out, and the session ends with the access token
+    const session = await Session.create({
+      user: user._id,
+      impersonator: req.user._id,
+      refreshTokenHash: hashToken(generateToken()),
+      userAgent: req.get('user-agent') || null,
+      ip: req.ip,
+      lastSeenIp: req.ip,
+      expiresAt
+    });
+
+    const token = user.getSignedImpersonationToken(session._id, req.user._id, expireMinutes * 60);
+
+    await recordAudit({
+      action: 'impersonation.started',
+      req,
+      targetUser: user._id,
+      metadata: { sessionId: session._id, reason: req.body.reason || null, expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Impersonating ${user.email} until ${expiresAt.toISOString()}`,
+      data: {
+        token,
+        impersonation: true,
+        expiresAt,
+        user: {
+          id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+          role: user.role
+        },
+        impersonator: {
+          id: req.user._id,
+          email: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get recruiter accounts in the review queue
+// @route   GET /api/users/recruiter-applications
+// @access  Private/Admin
+const getRecruiterApplications = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {
+      role: 'recruiter',
+      recruiterStatus: req.query.status || 'pending'
+    };
+
+    const recruiters = await User.find(query)
+      .select('firstName lastName email phone company companySize industry isEmailVerified recruiterStatus recruiterReviewedBy recruiterReviewedAt recruiterRejectionReason createdAt')
+      .populate('recruiterReviewedBy', 'firstName lastName email')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: recruiters.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: recruiters
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Record an admin's decision on a recruiter account and email the recruiter
+const reviewRecruiter = async (req, res, status, reason = null) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user || user.role !== 'recruiter') {
+    return res.status(404).json({
+      success: false,
+      message: 'Recruiter not found'
+    });
+  }
+
+  user.recruiterStatus = status;
+  user.recruiterReviewedBy = req.user._id;
+  user.recruiterReviewedAt = new Date();
+  user.recruiterRejectionReason = reason || undefined;
+  await user.save();
+
+  await recordAudit({
+    action: `recruiter.${status}`,
+    req,
+    targetUser: user._id,
+    metadata: reason ? { reason } : {}
+  });
+
+  // The decision stands even if the notification cannot be delivered
+  try {
+    await sendEmail({
+      to: user.email,
+      ...(status === 'approved' ? recruiterApprovedEmail(user) : recruiterRejectedEmail(user, reason))
+    });
+  } catch (emailError) {
+    console.error('Recruiter review email error:', emailError);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Recruiter ${status} successfully`,
+    data: {
+      id: user._id,
+      recruiterStatus: user.recruiterStatus,
+      recruiterReviewedAt: user.recruiterReviewedAt,
+      recruiterRejectionReason: user.recruiterRejectionReason
+    }
+  });
+};
+
+// @desc    Approve a recruiter account
+// @route   PATCH /api/users/:id/approve-recruiter
+// @access  Private/Admin
+const approveRecruiter = async (req, res, next) => {
+  try {
+    await reviewRecruiter(req, res, 'approved');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reject a recruiter account with a reason
+// @route   PATCH /api/users/:id/reject-recruiter
+// @access  Private/Admin
+const rejectRecruiter = async (req, res, next) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for the rejection'
+      });
+    }
+
+    if (reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection reason cannot exceed 500 characters'
+      });
+    }
+
+    await reviewRecruiter(req, res, 'rejected', reason);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get active lockouts (accounts and IPs)
+// @route   GET /api/users/lockouts
+// @access  Private/Admin
+const getLockouts = async (req, res, next) => {
+  try {
+    const query = { lockedUntil: { $gt: new Date() } };
+    if (req.query.scope) query.scope = req.query.scope;
+
+    const lockouts = await LoginThrottle.find(query).sort({ lockedUntil: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: lockouts.length,
+      data: lockouts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Clear a lockout (e.g. an IP lock)
+// @route   DELETE /api/users/lockouts/:lockoutId
+// @access  Private/Admin
+const clearLockout = async (req, res, next) => {
+  try {
+    const lockout = await LoginThrottle.findById(req.params.lockoutId);
+
+    if (!lockout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lockout not found'
+      });
+    }
+
+    await lockout.deleteOne();
+
+    await recordAudit({
+      action: 'auth.unlock',
+      req,
+      metadata: { scope: lockout.scope, subject: lockout.subject, throttleAction: lockout.action }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Lockout cleared successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Upload profile picture
 // @route   POST /api/users/upload-profile-picture
 // @access  Private
@@ -165,9 +1070,29 @@ const getUserStats = async (req, res, next) => {
 
 module.exports = {
   getUsers,
+  exportUsers,
   getUser,
   updateUser,
   deleteUser,
+  reactivateUser,
+  bulkDeactivateUsers,
+  bulkReactivateUsers,
+  previewErasure,
+  eraseUser,
+  getErasureCertificate,
+  unlockUser,
+  getUserSessions,
+  revokeUserSession,
+  revokeUserSessions,
+  impersonateUser,
+  getRecruiterApplications,
+  approveRecruiter,
+  rejectRecruiter,
+  setPermissions,
+  grantPermission,
+  revokePermission,
+  getLockouts,
+  clearLockout,
   uploadProfilePicture,
   uploadResume,
   getUserStats
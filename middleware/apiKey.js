@@ -0,0 +1,135 @@
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+
+// Header integrations send their key in
+const API_KEY_HEADER = 'x-api-key';
+
+// API resources that keys can reach, by path prefix. Account, security and
+// key management routes are deliberately missing: they need a real login.
+const SCOPED_RESOURCES = {
+  '/api/jobs': 'jobs',
+  '/api/applications': 'applications',
+  '/api/interviews': 'interviews',
+  '/api/dashboard': 'analytics',
+  '/api/users': 'users'
+};
+
+// Routes under a scoped resource that need a signed-in admin, because a key
+// could otherwise hand out more access than its own scopes
+const KEY_EXCLUDED_ROUTES = [
+  /^\/api\/users\/[^/]+\/impersonate\/?$/i,
+  /^\/api\/users\/[^/]+\/permissions(\/[^/]+)?\/?$/i,
+  /^\/api\/users\/[^/]+\/erase\/?$/i
+];
+
+// Scope needed for a request, or null if keys cannot be used for it
+const getRequiredScope = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  if (KEY_EXCLUDED_ROUTES.some(route => route.test(path))) return null;
+
+  const prefix = Object.keys(SCOPED_RESOURCES).find(resource => {
+    return path === resource || path.startsWith(`${resource}/`);
+  });
+  if (!prefix) return null;
+
+  const access = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  return `${SCOPED_RESOURCES[prefix]}:${access}`;
+};
+
+// Raw key from the request, if any
+const getApiKeyFromRequest = (req) => req.headers[API_KEY_HEADER] || null;
+
+// Resolve the key sent with a request, reusing the lookup done by the rate limiter
+const resolveApiKey = async (req) => {
+  if (req.apiKey === undefined) {
+    const apiKey = await ApiKey.findByKey(getApiKeyFromRequest(req));
+    req.apiKey = apiKey && apiKey.isActive() ? apiKey : null;
+  }
+  return req.apiKey;
+};
+
+// Load the user a key acts as. Keys stop working when the issuer is
+// deactivated, loses admin rights or leaves the company the key belongs to.
+const getApiKeyUser = async (apiKey) => {
+  const user = await User.findById(apiKey.createdBy).select('-password');
+  if (!user || !user.isActive) return null;
+
+  if (apiKey.company) {
+    return user.isCompanyMember(apiKey.company) && user.isApprovedRecruiter() ? user : null;
+  }
+  return user.role === 'admin' ? user : null;
+};
+
+// Authenticate a request made with an API key. Sets req.user to the issuer
+// and req.apiKey to the key, or returns an error status and message.
+const authenticateApiKey = async (req) => {
+  const apiKey = await resolveApiKey(req);
+  if (!apiKey) {
+    return { status: 401, message: 'Invalid, expired or revoked API key' };
+  }
+
+  const scope = getRequiredScope(req);
+  if (!scope) {
+    return { status: 403, message: 'This route cannot be used with an API key' };
+  }
+
+  if (!apiKey.hasScope(scope)) {
+    return { status: 403, message: `API key is missing the ${scope} scope` };
+  }
+
+  const user = await getApiKeyUser(apiKey);
+  if (!user) {
+    return { status: 401, message: 'The account that issued this API key can no longer use it' };
+  }
+
+  req.user = user;
+  req.authSession = null;
+  return null;
+};
+
+// Rate limit requests per API key. Requests without a key go through the
+// IP based limiter passed in.
+const apiKeyRateLimit = (ipLimiter) => {
+  return async (req, res, next) => {
+    if (!getApiKeyFromRequest(req)) {
+      return ipLimiter(req, res, next);
+    }
+
+    try {
+      const apiKey = await resolveApiKey(req);
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid, expired or revoked API key'
+        });
+      }
+
+      const usage = await apiKey.consumeRateLimit(req.ip);
+
+      res.set({
+        'RateLimit-Limit': usage.limit,
+        'RateLimit-Remaining': usage.remaining,
+        'RateLimit-Reset': Math.max(Math.ceil((usage.resetAt - Date.now()) / 1000), 0)
+      });
+
+      if (usage.exceeded) {
+        return res.status(429).json({
+          success: false,
+          message: 'API key rate limit exceeded, please try again later'
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  API_KEY_HEADER,
+  getRequiredScope,
+  getApiKeyFromRequest,
+  authenticateApiKey,
+  apiKeyRateLimit
+};
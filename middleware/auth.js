@@ -1,50 +1,231 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { isValidCsrfToken, requiresCsrfCheck } = require('../utils/csrf');
+const { getApiKeyFromRequest, authenticateApiKey } = require('./apiKey');
+const recordAudit = require('../utils/audit');
+const {
+  getThrottleSubjects,
+  getLockedUntil,
+  recordFailure,
+  recordSuccess
+} = require('../utils/loginThrottle');
 
-// Protect routes - verify JWT token
-const protect = async (req, res, next) => {
-  let token;
-
-  // Check for token in headers
+// Read the access token from the Authorization header, or from the
+// httpOnly cookie set by sendTokenResponse
+const getTokenFromRequest = (req) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return { token: req.headers.authorization.split(' ')[1], fromCookie: false };
+  }
+
+  if (req.cookies && req.cookies.token && req.cookies.token !== 'none') {
+    return { token: req.cookies.token, fromCookie: true };
+  }
+
+  return { token: null, fromCookie: false };
+};
+
+// Routes a user may reach while two-factor setup is still required
+const isTwoFactorSetupRoute = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  return path.startsWith('/api/auth/2fa/') || ['/api/auth/me', '/api/auth/logout'].includes(path);
+};
+
+// Unapproved recruiters can still manage their own account
+const isAccountRoute = (req) => {
+  return req.originalUrl.split('?')[0].startsWith('/api/auth/');
+};
+
+// Changes an impersonating admin may not make on the user's behalf.
+// Matched case-insensitively, as Express matches routes.
+const IMPERSONATION_BLOCKED_ROUTES = [
+  /^\/api\/auth\/(password|profile|2fa\/|resend-verification|invitations|sessions)/i,
+  /^\/api\/api-keys/i,
+  /^\/api\/data-exports/i,
+  /^\/api\/security/i,
+  /^\/api\/companies\/[^/]+\/sso/i,
+  /^\/api\/users\/[^/]+\/(impersonate|permissions)/i
+];
+
+const isBlockedWhileImpersonating = (req) => {
+  if (!requiresCsrfCheck(req)) return false;
+  const path = req.originalUrl.split('?')[0];
+  return IMPERSONATION_BLOCKED_ROUTES.some(pattern => pattern.test(path));
+};
+
+// Load the admin behind an impersonation token. The token and its session
+// must name the same admin, who must still be allowed to manage users.
+const getImpersonator = async (decoded, session) => {
+  if (!decoded.imp || !session.impersonator || session.impersonator.toString() !== String(decoded.imp)) {
+    return null;
+  }
+
+  const impersonator = await User.findById(session.impersonator).select('-password');
+  if (!impersonator || !impersonator.isActive || !impersonator.hasPermission('manage_users')) {
+    return null;
+  }
+  return impersonator;
+};
+
+// Audit every state-changing request made while impersonating, once its
+// outcome is known
+const auditImpersonatedRequest = (req, res) => {
+  if (!requiresCsrfCheck(req)) return;
+
+  res.on('finish', () => {
+    recordAudit({
+      action: 'impersonation.request',
+      req,
+      actor: req.impersonator._id,
+      targetUser: req.user._id,
+      metadata: {
+        sessionId: req.authSession ? req.authSession._id : null,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode
+      }
+    });
+  });
+};
+
+// Protect routes - verify JWT token, or an API key sent in X-API-Key
+const protect = async (req, res, next) => {
+  if (getApiKeyFromRequest(req)) {
     try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
+      const failure = await authenticateApiKey(req);
+      if (failure) {
+        return res.status(failure.status).json({
+          success: false,
+          message: failure.message
+        });
+      }
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const { token, fromCookie } = getTokenFromRequest(req);
 
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, no token'
+    });
+  }
+
+  try {
+    // Verify token
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Get user from token
+    req.user = await User.findById(decoded.id).select('-password');
+
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!req.user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User account is deactivated'
+      });
+    }
+
+    // Reject tokens issued before the last password change
+    if (req.user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed recently, please log in again'
+      });
+    }
+
+    // Every access token belongs to a session that can be revoked
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || session.user.toString() !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked, please log in again'
+      });
+    }
+
+    // Browsers attach cookies automatically, so cookie-authenticated
+    // state-changing requests must also prove they know the CSRF token
+    if (fromCookie && requiresCsrfCheck(req) && !isValidCsrfToken(req, session._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or missing CSRF token'
+      });
+    }
+
+    // Impersonation: req.user is the user being viewed, req.impersonator the admin
+    req.impersonator = null;
+    if (decoded.imp || session.impersonator) {
+      req.impersonator = await getImpersonator(decoded, session);
 
-      if (!req.user) {
+      if (!req.impersonator) {
         return res.status(401).json({
           success: false,
-          message: 'User not found'
+          message: 'Impersonation session is no longer valid'
         });
       }
 
-      if (!req.user.isActive) {
-        return res.status(401).json({
+      if (isBlockedWhileImpersonating(req)) {
+        return res.status(403).json({
           success: false,
-          message: 'User account is deactivated'
+          code: 'IMPERSONATION_FORBIDDEN',
+          message: 'This action is not allowed while impersonating a user'
         });
       }
 
-      next();
-    } catch (error) {
-      console.error('Token verification error:', error);
-      return res.status(401).json({
+      res.set('X-Impersonated-By', req.impersonator.id);
+    }
+
+    // Roles that must use two-factor authentication can only reach the
+    // enrolment endpoints until they have set it up. The impersonating
+    // admin has already been through their own checks.
+    if (!req.impersonator && !req.user.twoFactorEnabled && !isTwoFactorSetupRoute(req)) {
+      const policy = await SecurityPolicy.getPolicy();
+      if (policy.requiresTwoFactor(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          code: 'TWO_FACTOR_SETUP_REQUIRED',
+          message: 'Two-factor authentication must be set up before continuing'
+        });
+      }
+    }
+
+    // Recruiters waiting for (or refused) approval cannot reach jobs,
+    // applications or anything else holding applicant data
+    if (req.user.role === 'recruiter' && !req.user.isApprovedRecruiter() && !isAccountRoute(req)) {
+      return res.status(403).json({
         success: false,
-        message: 'Not authorized, token failed'
+        code: req.user.recruiterStatus === 'rejected' ? 'RECRUITER_REJECTED' : 'RECRUITER_APPROVAL_PENDING',
+        message: req.user.recruiterStatus === 'rejected'
+          ? 'Your recruiter account application was rejected'
+          : 'Your recruiter account is waiting for admin approval'
       });
     }
-  }
 
-  if (!token) {
+    req.authSession = session;
+
+    // Keep the device list's last-seen time current without failing the request
+    session.touch(req.ip).catch(error => console.error('Session touch error:', error));
+
+    if (req.impersonator) {
+      auditImpersonatedRequest(req, res);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Token verification error:', error);
     return res.status(401).json({
       success: false,
-      message: 'Not authorized, no token'
+      message: 'Not authorized, token failed'
     });
   }
 };
@@ -66,19 +247,112 @@ const authorize = (...roles) => {
       });
     }
 
+    if (req.user.role === 'recruiter' && !req.user.isApprovedRecruiter()) {
+      return res.status(403).json({
+        success: false,
+        code: 'RECRUITER_APPROVAL_PENDING',
+        message: 'Your recruiter account has not been approved'
+      });
+    }
+
+    next();
+  };
+};
+
+// Require admin permissions. Only admins are checked: other roles are
+// limited by authorize and by ownership checks in the controllers.
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authenticated'
+      });
+    }
+
+    if (req.user.role !== 'admin') {
+      return next();
+    }
+
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Missing permission: ${missing.join(', ')}`
+      });
+    }
+
     next();
   };
 };
 
+// Require a verified email for the roles listed in REQUIRE_VERIFIED_EMAIL
+// (comma separated, e.g. "applicant,recruiter"). Other roles pass through.
+const requireVerifiedEmail = (req, res, next) => {
+  const roles = (process.env.REQUIRE_VERIFIED_EMAIL || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'User not authenticated'
+    });
+  }
+
+  if (roles.includes(req.user.role) && !req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before continuing'
+    });
+  }
+
+  next();
+};
+
 // Optional auth - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
-  let token;
+  if (getApiKeyFromRequest(req)) {
+    try {
+      // A key that cannot be used here just means an anonymous request
+      if (await authenticateApiKey(req)) {
+        req.user = null;
+      }
+    } catch (error) {
+      req.user = null;
+    }
+    return next();
+  }
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+  const { token, fromCookie } = getTokenFromRequest(req);
+
+  if (token) {
     try {
-      token = req.headers.authorization.split(' ')[1];
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       req.user = await User.findById(decoded.id).select('-password');
+
+      if (req.user && req.user.changedPasswordAfter(decoded.iat)) {
+        req.user = null;
+      }
+
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+      if (!session || !session.isActive()) {
+        req.user = null;
+      }
+
+      if (fromCookie && requiresCsrfCheck(req) && !isValidCsrfToken(req, decoded.sid)) {
+        req.user = null;
+      }
+
+      // Impersonation tokens are only honoured for reads on public routes
+      if (req.user && (decoded.imp || session.impersonator)) {
+        req.impersonator = await getImpersonator(decoded, session);
+        if (!req.impersonator || requiresCsrfCheck(req)) {
+          req.user = null;
+          req.impersonator = null;
+        }
+      }
     } catch (error) {
       // Token is invalid, but we continue without user
       req.user = null;
@@ -149,10 +423,46 @@ const sensitiveOperationLimit = (maxAttempts = 5, windowMs = 15 * 60 * 1000) =>
   };
 };
 
+// Persistent throttling for credential checks. Failed attempts are counted
+// per account and per IP in the database; the controller reports the outcome
+// through req.loginThrottle so successful attempts are never counted.
+const loginThrottle = (action) => {
+  return async (req, res, next) => {
+    try {
+      const email = req.user ? req.user.email : req.body.email;
+      const subjects = getThrottleSubjects(action, req.ip, email);
+
+      const lockedUntil = await getLockedUntil(subjects);
+      if (lockedUntil) {
+        const retryAfterSeconds = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+        res.set('Retry-After', String(retryAfterSeconds));
+        return res.status(429).json({
+          success: false,
+          message: `Too many failed attempts, please try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s)`,
+          lockedUntil
+        });
+      }
+
+      req.loginThrottle = {
+        recordFailure: () => recordFailure(subjects, req),
+        recordSuccess: () => recordSuccess(subjects)
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 module.exports = {
   protect,
   authorize,
+  requirePermission,
+  requireVerifiedEmail,
   optionalAuth,
   checkOwnership,
-  sensitiveOperationLimit
+  sensitiveOperationLimit,
+  loginThrottle,
+  isBlockedWhileImpersonating
 };
@@ -9,7 +9,12 @@ const notFound = (req, res, next) => {
       jobs: '/api/jobs',
       applications: '/api/applications',
       dashboard: '/api/dashboard',
-      interviews: '/api/interviews'
+      interviews: '/api/interviews',
+      security: '/api/security',
+      companies: '/api/companies',
+      apiKeys: '/api/api-keys',
+      dataExports: '/api/data-exports',
+      requisitions: '/api/requisitions'
     }
   });
 };
@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { checkPassword } = require('../utils/passwordPolicy');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -17,6 +18,17 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Password must satisfy the deployment's password policy
+const passwordPolicyRule = (field) => {
+  return body(field).custom(value => {
+    const errors = checkPassword(value);
+    if (errors.length > 0) {
+      throw new Error(errors.join('. '));
+    }
+    return true;
+  });
+};
+
 // User validation rules
 const validateRegister = [
   body('firstName')
@@ -34,11 +46,7 @@ const validateRegister = [
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  passwordPolicyRule('password'),
   
   body('role')
     .isIn(['applicant', 'recruiter'])
@@ -65,6 +73,55 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  
+  handleValidationErrors
+];
+
+const validateResetPassword = [
+  passwordPolicyRule('password'),
+  
+  handleValidationErrors
+];
+
+const validateChangePassword = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  
+  passwordPolicyRule('newPassword'),
+  
+  body('signOutOtherDevices')
+    .optional()
+    .isBoolean()
+    .withMessage('signOutOtherDevices must be true or false')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+const validateMagicLink = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  
+  handleValidationErrors
+];
+
+const validateMagicLinkVerify = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid sign-in link'),
+  
+  handleValidationErrors
+];
+
 // Job validation rules
 const validateJob = [
   body('title')
@@ -105,6 +162,18 @@ const validateJob = [
       return true;
     }),
   
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .toDate()
+    .withMessage('Publish time must be a valid date')
+    .custom((value, { req }) => {
+      if (value >= new Date(req.body.applicationDeadline)) {
+        throw new Error('Publish time must be before the application deadline');
+      }
+      return true;
+    }),
+  
   body('experience.min')
     .optional()
     .isInt({ min: 0 })
@@ -121,6 +190,15 @@ const validateJob = [
       return true;
     }),
   
+  body('screeningQuestions')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Screening questions must be a list of at most 20 questions'),
+  
+  body('screeningQuestions.*.type')
+    .isIn(['text', 'yes_no', 'single_choice', 'multiple_choice', 'number'])
+    .withMessage('Invalid screening question type'),
+  
   body('salary.min')
     .optional()
     .isFloat({ min: 0 })
@@ -203,6 +281,128 @@ const validateInterview = [
   handleValidationErrors
 ];
 
+// Invitation validation rules
+const validateInvitation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  
+  body('companyRole')
+    .optional()
+    .isIn(['owner', 'member'])
+    .withMessage('Company role must be either owner or member'),
+  
+  handleValidationErrors
+];
+
+// Accepting an invitation without an account registers one, so the
+// registration rules apply to whichever fields are sent
+const validateAcceptInvitation = [
+  body('firstName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters'),
+  
+  body('lastName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters'),
+  
+  passwordPolicyRule('password')
+    .optional(),
+  
+  body('phone')
+    .optional()
+    .matches(/^[\+]?[1-9][\d]{0,15}$/)
+    .withMessage('Please provide a valid phone number'),
+  
+  handleValidationErrors
+];
+
+// Company validation rules
+const validateCompany = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Company name must be between 2 and 100 characters'),
+  
+  body('website')
+    .optional({ checkFalsy: true })
+    .isURL()
+    .withMessage('Please provide a valid website URL'),
+  
+  body('size')
+    .optional()
+    .isIn(['1-10', '11-50', '51-200', '201-500', '500+'])
+    .withMessage('Invalid company size'),
+  
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  
+  handleValidationErrors
+];
+
+// Job requisition validation
+const validateRequisition = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Requisition title must be between 3 and 100 characters'),
+  
+  body('headcount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Headcount must be a positive integer'),
+  
+  body('salaryBand.min')
+    .isFloat({ min: 0 })
+    .withMessage('Minimum salary must be a positive number'),
+  
+  body('salaryBand.max')
+    .isFloat({ min: 0 })
+    .withMessage('Maximum salary must be a positive number'),
+  
+  body('justification')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Justification cannot exceed 2000 characters'),
+  
+  handleValidationErrors
+];
+
+const validateRequisitionApprovals = [
+  body('steps')
+    .isArray({ max: 10 })
+    .withMessage('Steps must be a list of at most 10 approval steps'),
+  
+  body('steps.*')
+    .isObject()
+    .withMessage('Each step must be an object with a name and approvers'),
+  
+  body('steps.*.name')
+    .isString()
+    .withMessage('Step name is required')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Step name must be between 1 and 100 characters'),
+  
+  body('steps.*.approvers')
+    .isArray()
+    .withMessage('Step approvers must be a list of user IDs'),
+  
+  body('steps.*.approvers.*')
+    .isMongoId()
+    .withMessage('Approvers must be valid user IDs'),
+  
+  handleValidationErrors
+];
+
 // Parameter validation
 const validateObjectId = (paramName) => [
   param(paramName)
@@ -227,13 +427,74 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+// User directory filters (admin)
+const validateUserFilters = [
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+  
+  query('role')
+    .optional()
+    .isIn(['applicant', 'recruiter', 'admin'])
+    .withMessage('Role must be applicant, recruiter or admin'),
+  
+  query('active')
+    .optional()
+    .isIn(['true', 'false', 'all'])
+    .withMessage('Active must be true, false or all'),
+  
+  query('verified')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Verified must be true or false'),
+  
+  query('company')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Company must be a company ID or name'),
+  
+  query('sort')
+    .optional()
+    .isIn(['newest', 'oldest', 'name', 'name_desc', 'email', 'last_login'])
+    .withMessage('Sort must be one of newest, oldest, name, name_desc, email, last_login'),
+  
+  handleValidationErrors
+];
+
+const validateBulkUserAction = [
+  body('userIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Please provide between 1 and 100 user IDs'),
+  
+  body('userIds.*')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  handleValidationErrors
+];
+
 module.exports = {
   validateRegister,
   validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
+  validateMagicLink,
+  validateMagicLinkVerify,
   validateJob,
   validateApplication,
   validateInterview,
+  validateInvitation,
+  validateAcceptInvitation,
+  validateCompany,
+  validateRequisition,
+  validateRequisitionApprovals,
   validateObjectId,
   validatePagination,
+  validateUserFilters,
+  validateBulkUserAction,
   handleValidationErrors
 };
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+// Key for machine-to-machine integrations. Requests made with it act as the
+// user who issued it, limited to the key's scopes.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+  // First characters of the key, shown in listings so keys can be told apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  // Set for keys issued by a company owner, null for admin keys
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Requests allowed per rate limit window
+  rateLimit: {
+    type: Number,
+    min: [1, 'Rate limit must be at least 1'],
+    default: () => parseInt(process.env.API_KEY_RATE_LIMIT) || 1000
+  },
+  rateLimitWindowStart: {
+    type: Date,
+    default: null
+  },
+  rateLimitCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+apiKeySchema.index({ company: 1, revokedAt: 1 });
+apiKeySchema.index({ createdBy: 1 });
+
+const KEY_PREFIX = 'rk_';
+
+// Length of the rate limit window
+const rateLimitWindowMs = () => parseInt(process.env.API_KEY_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+
+// Generate a new raw key with the values to store for it
+apiKeySchema.statics.generateKey = function() {
+  const key = `${KEY_PREFIX}${generateToken(24)}`;
+  return {
+    key,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashToken(key)
+  };
+};
+
+// Find the key matching a raw key sent by a client
+apiKeySchema.statics.findByKey = function(key) {
+  if (!key || !String(key).startsWith(KEY_PREFIX)) {
+    return null;
+  }
+  return this.findOne({ keyHash: hashToken(key) });
+};
+
+// Check if key can still be used
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Check if key grants a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Count one request against the key's rate limit and record its use.
+// Returns the window state so the caller can reject or set headers.
+apiKeySchema.methods.consumeRateLimit = async function(ip) {
+  const now = new Date();
+  const windowMs = rateLimitWindowMs();
+
+  let key = await this.constructor.findOneAndUpdate(
+    { _id: this._id, rateLimitWindowStart: { $gt: new Date(now.getTime() - windowMs) } },
+    { $inc: { rateLimitCount: 1 }, $set: { lastUsedAt: now, lastUsedIp: ip } },
+    { new: true }
+  );
+
+  // The last window has ended, start a new one
+  if (!key) {
+    key = await this.constructor.findOneAndUpdate(
+      { _id: this._id },
+      { $set: { rateLimitWindowStart: now, rateLimitCount: 1, lastUsedAt: now, lastUsedIp: ip } },
+      { new: true }
+    );
+  }
+
+  return {
+    limit: key.rateLimit,
+    remaining: Math.max(key.rateLimit - key.rateLimitCount, 0),
+    resetAt: new Date(key.rateLimitWindowStart.getTime() + windowMs),
+    exceeded: key.rateLimitCount > key.rateLimit
+  };
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
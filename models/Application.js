@@ -11,6 +11,11 @@ const applicationSchema = new mongoose.Schema({
     ref: 'Job',
     required: [true, 'Job is required']
   },
+  // Revision of the job posting the applicant saw when applying
+  jobRevision: {
+    type: Number,
+    default: null
+  },
   status: {
     type: String,
     enum: [
@@ -126,9 +131,15 @@ const applicationSchema = new mongoose.Schema({
     },
     lastUpdated: Date
   },
+  // Answers to the job's screening questions, with the question as it was
+  // worded when the applicant answered
   customAnswers: [{
+    questionId: mongoose.Schema.Types.ObjectId,
     question: String,
-    answer: String,
+    type: {
+      type: String
+    },
+    answer: mongoose.Schema.Types.Mixed,
     required: Boolean
   }],
   notes: [{
@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Maps an identity provider group to the access its members get
+const ssoGroupMappingSchema = new mongoose.Schema({
+  group: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['recruiter', 'admin'],
+    default: 'recruiter'
+  },
+  companyRole: {
+    type: String,
+    enum: ['owner', 'member'],
+    default: 'member'
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }]
+}, { _id: false });
+
+// OpenID Connect provider used by the company's recruiters to sign in
+const ssoSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  issuer: {
+    type: String,
+    trim: true
+  },
+  clientId: {
+    type: String,
+    trim: true
+  },
+  // Encrypted with the same key as TOTP secrets
+  clientSecret: {
+    type: String,
+    select: false
+  },
+  scopes: {
+    type: String,
+    default: 'openid email profile'
+  },
+  // Claim holding the user's groups in the ID token or userinfo response
+  groupsClaim: {
+    type: String,
+    default: 'groups'
+  },
+  // Email domains allowed to sign in through the provider
+  domains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Domains an admin confirmed the company owns. Only existing accounts on
+  // these domains are linked on first login.
+  verifiedDomains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  groupMappings: [ssoGroupMappingSchema]
+}, { _id: false });
+
+// Default approval step for the company's job requisitions
+const requisitionApprovalStepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Step name is required'],
+    trim: true,
+    maxlength: [100, 'Step name cannot exceed 100 characters']
+  },
+  approvers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, { _id: false });
+
+const companySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Company name is required'],
+    trim: true,
+    maxlength: [100, 'Company name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  website: {
+    type: String,
+    trim: true
+  },
+  industry: {
+    type: String,
+    trim: true
+  },
+  size: {
+    type: String,
+    enum: ['1-10', '11-50', '51-200', '201-500', '500+']
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  logo: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sso: {
+    type: ssoSchema,
+    default: () => ({})
+  },
+  // Steps every new requisition goes through, in order
+  requisitionApprovalChain: {
+    type: [requisitionApprovalStepSchema],
+    validate: {
+      validator: (steps) => steps.length <= 10,
+      message: 'An approval chain can have at most 10 steps'
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for team members
+companySchema.virtual('members', {
+  ref: 'User',
+  localField: '_id',
+  foreignField: 'companyId'
+});
+
+// Indexes for better query performance
+companySchema.index({ name: 'text', description: 'text' });
+
+// Build a unique slug from the name
+companySchema.pre('save', async function(next) {
+  if (!this.isModified('name') && this.slug) {
+    return next();
+  }
+
+  const base = this.name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'company';
+
+  let slug = base;
+  let suffix = 1;
+  while (await this.constructor.exists({ slug, _id: { $ne: this._id } })) {
+    suffix += 1;
+    slug = `${base}-${suffix}`;
+  }
+
+  this.slug = slug;
+  next();
+});
+
+// Work out the access an SSO user gets from their identity provider groups.
+// Admin mappings win over recruiter ones, owners over members, and the
+// permissions of every matching admin mapping are combined. Returns null
+// when no group is mapped.
+companySchema.methods.resolveSsoAccess = function(groups) {
+  const matches = this.sso.groupMappings.filter(mapping => groups.includes(mapping.group));
+  if (matches.length === 0) return null;
+
+  const adminMatches = matches.filter(mapping => mapping.role === 'admin');
+  if (adminMatches.length > 0) {
+    return {
+      role: 'admin',
+      companyRole: null,
+      permissions: [...new Set(adminMatches.flatMap(mapping => mapping.permissions))]
+    };
+  }
+
+  return {
+    role: 'recruiter',
+    companyRole: matches.some(mapping => mapping.companyRole === 'owner') ? 'owner' : 'member',
+    permissions: []
+  };
+};
+
+// Attach a recruiter to the company and move their existing postings to the team
+companySchema.methods.addMember = async function(user, companyRole = 'member') {
+  user.companyId = this._id;
+  user.companyRole = companyRole;
+  user.company = this.name;
+  await user.save({ validateBeforeSave: false });
+
+  await mongoose.model('Job').updateMany(
+    { postedBy: user._id, companyId: null },
+    { companyId: this._id }
+  );
+
+  return user;
+};
+
+module.exports = mongoose.model('Company', companySchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Archive of everything stored about a user, built in the background and
+// downloaded through a short-lived link
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Differs from `user` when an admin requested the export on their behalf
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'expired'],
+    default: 'queued'
+  },
+  filePath: {
+    type: String,
+    default: null,
+    select: false
+  },
+  fileSize: {
+    type: Number,
+    default: null
+  },
+  downloadTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  downloadedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Check if the archive can still be downloaded
+dataExportSchema.methods.isDownloadable = function() {
+  return this.status === 'completed' && !!this.expiresAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
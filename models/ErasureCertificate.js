@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Proof that a user's personal data was erased. It only keeps the user's id
+// and counts of what was removed, never the erased values themselves.
+const erasureCertificateSchema = new mongoose.Schema({
+  certificateNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subjectRole: {
+    type: String,
+    required: true
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  completedAt: {
+    type: Date,
+    required: true
+  },
+  // SHA-256 of the certified content, to detect later tampering
+  digest: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+erasureCertificateSchema.index({ subject: 1 });
+
+// Hash of the fields the certificate vouches for
+erasureCertificateSchema.methods.computeDigest = function() {
+  const content = JSON.stringify({
+    certificateNumber: this.certificateNumber,
+    subject: this.subject.toString(),
+    subjectRole: this.subjectRole,
+    performedBy: this.performedBy.toString(),
+    reason: this.reason || null,
+    summary: this.summary,
+    completedAt: this.completedAt.toISOString()
+  });
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+// Check the certificate still matches its digest
+erasureCertificateSchema.methods.isIntact = function() {
+  return this.digest === this.computeDigest();
+};
+
+// Readable certificate number, e.g. ERA-20250101-1A2B3C4D
+erasureCertificateSchema.statics.generateNumber = function(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `ERA-${day}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+};
+
+module.exports = mongoose.model('ErasureCertificate', erasureCertificateSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please enter a valid email'
+    ]
+  },
+  companyRole: {
+    type: String,
+    enum: ['owner', 'member'],
+    default: 'member'
+  },
+  // Hash of the token sent by email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+invitationSchema.index({ company: 1, status: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+
+// Check if invitation can still be accepted
+invitationSchema.methods.isPending = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -1,5 +1,103 @@
 const mongoose = require('mongoose');
 
+const SCREENING_QUESTION_TYPES = ['text', 'yes_no', 'single_choice', 'multiple_choice', 'number'];
+const CHOICE_TYPES = ['single_choice', 'multiple_choice'];
+
+// Question applicants answer when applying. `knockout` lists the answers
+// that qualify; any other answer rejects the application automatically.
+const screeningQuestionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [500, 'Question cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Question type is required'],
+    enum: SCREENING_QUESTION_TYPES
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Choices for single_choice and multiple_choice questions
+  options: [{
+    type: String,
+    trim: true
+  }],
+  knockout: {
+    // yes_no: the answer that qualifies
+    answer: {
+      type: Boolean,
+      default: null
+    },
+    // Choice questions: at least one of these must be picked
+    acceptedOptions: [{
+      type: String,
+      trim: true
+    }],
+    // number: the qualifying range
+    min: {
+      type: Number,
+      default: null
+    },
+    max: {
+      type: Number,
+      default: null
+    }
+  }
+});
+
+// Options and knockout criteria must fit the question type
+screeningQuestionSchema.pre('validate', function(next) {
+  const isChoice = CHOICE_TYPES.includes(this.type);
+  const { knockout } = this;
+
+  if (isChoice && this.options.length < 2) {
+    this.invalidate('options', 'Choice questions need at least two options');
+  }
+  if (isChoice && new Set(this.options).size !== this.options.length) {
+    this.invalidate('options', 'Options must be unique');
+  }
+  if (!isChoice && this.options.length > 0) {
+    this.invalidate('options', 'Options are only allowed on choice questions');
+  }
+
+  if (knockout.answer !== null && this.type !== 'yes_no') {
+    this.invalidate('knockout.answer', 'A knockout answer is only allowed on yes/no questions');
+  }
+  if (knockout.acceptedOptions.length > 0) {
+    if (!isChoice) {
+      this.invalidate('knockout.acceptedOptions', 'Accepted options are only allowed on choice questions');
+    } else if (knockout.acceptedOptions.some(option => !this.options.includes(option))) {
+      this.invalidate('knockout.acceptedOptions', 'Accepted options must be among the question\'s options');
+    }
+  }
+  if ((knockout.min !== null || knockout.max !== null) && this.type !== 'number') {
+    this.invalidate('knockout.min', 'A knockout range is only allowed on number questions');
+  }
+  if (knockout.min !== null && knockout.max !== null && knockout.min > knockout.max) {
+    this.invalidate('knockout.max', 'Knockout maximum must be greater than or equal to the minimum');
+  }
+
+  // Otherwise applicants could skip the question to avoid the knockout
+  if (this.hasKnockout()) {
+    this.required = true;
+  }
+
+  next();
+});
+
+// Whether the question rejects some answers
+screeningQuestionSchema.methods.hasKnockout = function() {
+  const { knockout } = this;
+  return knockout.answer !== null ||
+    knockout.acceptedOptions.length > 0 ||
+    knockout.min !== null ||
+    knockout.max !== null;
+};
+
 const jobSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -97,9 +195,73 @@ const jobSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'active', 'paused', 'closed', 'filled'],
+    enum: ['draft', 'pending_review', 'active', 'paused', 'closed', 'filled'],
     default: 'active'
   },
+  // Review by an admin when job moderation is enabled
+  moderation: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', null],
+      default: null
+    },
+    // Findings of the automatic checks, for the reviewing admin
+    flags: [{
+      _id: false,
+      rule: String,
+      message: String
+    }],
+    submittedAt: {
+      type: Date,
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      maxlength: [1000, 'Moderation reason cannot exceed 1000 characters'],
+      default: null
+    },
+    // Revision the approval applies to; later edits need a new review
+    approvedRevision: {
+      type: Number,
+      default: null
+    }
+  },
+  // Drafts are published by the job scheduler once this time is reached
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  // Number of the current entry in the job's revision history
+  revision: {
+    type: Number,
+    default: 1
+  },
+  deadlineReminderSentAt: {
+    type: Date,
+    default: null
+  },
+  // Status changes; `changedBy` is empty for changes made by the scheduler
+  timeline: [{
+    status: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -110,6 +272,18 @@ const jobSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Approved headcount the job is opened against
+  requisition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Requisition',
+    default: null
+  },
+  // Company team that can manage the job, copied from the poster
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
   applicationsCount: {
     type: Number,
     default: 0
@@ -129,7 +303,14 @@ const jobSchema = new mongoose.Schema({
   tags: [{
     type: String,
     trim: true
-  }]
+  }],
+  screeningQuestions: {
+    type: [screeningQuestionSchema],
+    validate: {
+      validator: (questions) => questions.length <= 20,
+      message: 'A job can have at most 20 screening questions'
+    }
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -172,6 +353,11 @@ jobSchema.virtual('daysSincePosted').get(function() {
   return diffDays;
 });
 
+// Virtual for whether the application deadline has passed
+jobSchema.virtual('isExpired').get(function() {
+  return !!this.applicationDeadline && this.applicationDeadline <= new Date();
+});
+
 // Indexes for better query performance
 jobSchema.index({ title: 'text', description: 'text', company: 'text' });
 jobSchema.index({ status: 1 });
@@ -179,9 +365,53 @@ jobSchema.index({ type: 1 });
 jobSchema.index({ category: 1 });
 jobSchema.index({ location: 1 });
 jobSchema.index({ postedBy: 1 });
+jobSchema.index({ companyId: 1 });
 jobSchema.index({ createdAt: -1 });
 jobSchema.index({ applicationDeadline: 1 });
 jobSchema.index({ featured: -1, createdAt: -1 });
+jobSchema.index({ status: 1, applicationDeadline: 1 });
+jobSchema.index({ status: 1, publishAt: 1 });
+jobSchema.index({ status: 1, 'moderation.submittedAt': 1 });
+
+// The linked requisition must belong to the job's team, still be open and
+// cover the salary
+jobSchema.pre('validate', async function() {
+  if (!this.requisition) return;
+  if (!this.isNew && !this.isModified('requisition') && !this.isModified('salary')) return;
+
+  const requisition = await mongoose.model('Requisition').findById(this.requisition);
+  const sameTeam = requisition && (this.companyId
+    ? String(requisition.companyId) === String(this.companyId)
+    : String(requisition.requestedBy) === String(this.postedBy));
+
+  if (!sameTeam) {
+    this.invalidate('requisition', 'Requisition not found');
+    return;
+  }
+  if (['rejected', 'cancelled'].includes(requisition.status)) {
+    this.invalidate('requisition', `Requisition ${requisition.number} was ${requisition.status}`);
+    return;
+  }
+
+  const salaryErrors = requisition.checkSalary(this.salary);
+  if (salaryErrors.length > 0) {
+    this.invalidate('salary', salaryErrors.join(', '));
+  }
+});
+
+// Pre-save middleware to add timeline entry on status change. Set
+// `_changedBy` and `_statusReason` on the document to record who and why.
+jobSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('status')) {
+    this.timeline.push({
+      status: this.status,
+      changedBy: this._changedBy || null,
+      reason: this._statusReason,
+      timestamp: new Date()
+    });
+  }
+  next();
+});
 
 // Middleware to update applicationsCount
 jobSchema.methods.updateApplicationsCount = async function() {
@@ -197,4 +427,16 @@ jobSchema.methods.incrementViews = function() {
   return this.save({ validateBeforeSave: false });
 };
 
+// Static method to move every job matching `filter` to a new status and
+// record it, setting any `extra` fields alongside. The filter should include
+// the current status so that, with several instances running, each job is
+// only moved once.
+jobSchema.statics.transitionStatus = async function(filter, status, reason, changedBy = null, extra = {}) {
+  const result = await this.updateMany(filter, {
+    $set: { ...extra, status },
+    $push: { timeline: { status, changedBy, reason, timestamp: new Date() } }
+  });
+  return result.modifiedCount;
+};
+
 module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One version of a job posting. `snapshot` holds the posting as it was
+// after the change, `changes` what the change did to each field.
+const jobRevisionSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Empty for the baseline of jobs created before revisions were kept
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Set when this revision brought back an earlier one
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Revision numbers are unique per job, which also stops two concurrent
+// updates from both claiming the next number
+jobRevisionSchema.index({ job: 1, revision: -1 }, { unique: true });
+
+// Short form for revision listings
+jobRevisionSchema.methods.toSummary = function() {
+  return {
+    revision: this.revision,
+    changedBy: this.changedBy,
+    changedFields: this.changes.map(change => change.field),
+    restoredFrom: this.restoredFrom,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('JobRevision', jobRevisionSchema);
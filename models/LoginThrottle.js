@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Failed attempt counter for one action (login, password change, ...) and one
+// subject: an account (by email) or a client IP
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  // Email or IP address
+  subject: {
+    type: String,
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  // Number of lockouts so far, drives the exponential backoff
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+loginThrottleSchema.index({ lockedUntil: 1 });
+loginThrottleSchema.index({ scope: 1, subject: 1 });
+
+// Forget counters once they have been quiet long enough
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the subject is currently locked
+loginThrottleSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Pending OpenID Connect login, created when the browser is sent to the
+// identity provider and consumed once by the callback
+const oidcAuthRequestSchema = new mongoose.Schema({
+  // Hash of the `state` parameter sent to the provider
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true,
+    select: false
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Remove abandoned logins once they expire
+oidcAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcAuthRequest', oidcAuthRequestSchema);
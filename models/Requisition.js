@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// One step of a requisition's approval chain. Steps are decided in order;
+// a step without approvers is decided by admins.
+const approvalStepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Step name is required'],
+    trim: true,
+    maxlength: [100, 'Step name cannot exceed 100 characters']
+  },
+  approvers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['waiting', 'pending', 'approved', 'rejected', 'skipped'],
+    default: 'waiting'
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  comment: {
+    type: String,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+    default: null
+  }
+});
+
+// Request to open a role, approved for headcount and budget before a job
+// can go live
+const requisitionSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Requisition title is required'],
+    trim: true,
+    maxlength: [100, 'Requisition title cannot exceed 100 characters']
+  },
+  department: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Department cannot exceed 100 characters']
+  },
+  headcount: {
+    type: Number,
+    min: [1, 'Headcount must be at least 1'],
+    default: 1
+  },
+  justification: {
+    type: String,
+    maxlength: [2000, 'Justification cannot exceed 2000 characters']
+  },
+  // Jobs linked to the requisition must pay within this band
+  salaryBand: {
+    min: {
+      type: Number,
+      required: [true, 'Minimum salary is required'],
+      min: 0
+    },
+    max: {
+      type: Number,
+      required: [true, 'Maximum salary is required'],
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+      enum: ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD']
+    },
+    period: {
+      type: String,
+      default: 'yearly',
+      enum: ['hourly', 'monthly', 'yearly']
+    }
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Company team the requisition belongs to, copied from the requester
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  approvalSteps: {
+    type: [approvalStepSchema],
+    validate: {
+      validator: (steps) => steps.length > 0 && steps.length <= 10,
+      message: 'A requisition needs between 1 and 10 approval steps'
+    }
+  },
+  comments: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    content: {
+      type: String,
+      maxlength: [1000, 'Comment cannot exceed 1000 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  decidedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  // Two approvers deciding the same step at once must not both succeed
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+requisitionSchema.index({ companyId: 1, status: 1, createdAt: -1 });
+requisitionSchema.index({ requestedBy: 1, createdAt: -1 });
+requisitionSchema.index({ 'approvalSteps.approvers': 1, status: 1 });
+
+requisitionSchema.pre('validate', function(next) {
+  if (this.salaryBand && this.salaryBand.min > this.salaryBand.max) {
+    this.invalidate('salaryBand.max', 'Maximum salary must be greater than or equal to minimum salary');
+  }
+  next();
+});
+
+// Virtual for the step waiting for a decision
+requisitionSchema.virtual('currentStep').get(function() {
+  return (this.approvalSteps || []).find(step => step.status === 'pending') || null;
+});
+
+// Check if a user may decide the current step. Admins can decide any step.
+requisitionSchema.methods.canDecide = function(user) {
+  const step = this.currentStep;
+  if (!step) return false;
+  if (user.hasPermission('manage_jobs')) return true;
+
+  // Requesters never approve their own requisition
+  if (this.requestedBy.toString() === user._id.toString()) return false;
+
+  return step.approvers.some(approver => approver.toString() === user._id.toString());
+};
+
+// Record a decision on the current step. Approving the last step approves
+// the requisition; rejecting any step rejects it.
+requisitionSchema.methods.decide = function(user, approved, comment = null) {
+  const step = this.currentStep;
+  const now = new Date();
+
+  step.status = approved ? 'approved' : 'rejected';
+  step.decidedBy = user._id;
+  step.decidedAt = now;
+  step.comment = comment;
+
+  if (!approved) {
+    this.approvalSteps.forEach(other => {
+      if (other.status === 'waiting') other.status = 'skipped';
+    });
+    this.status = 'rejected';
+    this.decidedAt = now;
+    return null;
+  }
+
+  const next = this.approvalSteps.find(other => other.status === 'waiting');
+  if (next) {
+    next.status = 'pending';
+    return next;
+  }
+
+  this.status = 'approved';
+  this.decidedAt = now;
+  return null;
+};
+
+// Check if a salary fits the band, returning the problems found
+requisitionSchema.methods.checkSalary = function(salary = {}) {
+  const band = this.salaryBand;
+  const errors = [];
+
+  if (salary.currency && salary.currency !== band.currency) {
+    errors.push(`Salary currency must be ${band.currency}`);
+  }
+  if (salary.period && salary.period !== band.period) {
+    errors.push(`Salary period must be ${band.period}`);
+  }
+  if (salary.min !== undefined && salary.min !== null && salary.min < band.min) {
+    errors.push(`Minimum salary cannot be below the requisition's band of ${band.min}`);
+  }
+  if (salary.max !== undefined && salary.max !== null && salary.max > band.max) {
+    errors.push(`Maximum salary cannot exceed the requisition's band of ${band.max}`);
+  }
+
+  return errors;
+};
+
+// Readable requisition number, e.g. REQ-20250101-1A2B3C
+requisitionSchema.statics.generateNumber = function(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `REQ-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+module.exports = mongoose.model('Requisition', requisitionSchema);
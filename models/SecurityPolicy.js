@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Deployment-wide security settings managed by admins. There is a single
+// document, identified by `key`.
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: ['applicant', 'recruiter', 'admin']
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Policy is read on every authenticated request, so keep it in memory briefly
+const CACHE_TTL_MS = 30 * 1000;
+let cachedPolicy = null;
+let cachedAt = 0;
+
+// Get the policy, creating it with defaults on first use
+securityPolicySchema.statics.getPolicy = async function() {
+  if (cachedPolicy && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedPolicy;
+  }
+
+  cachedPolicy = await this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  cachedAt = Date.now();
+
+  return cachedPolicy;
+};
+
+// Drop the cached copy after an update
+securityPolicySchema.statics.clearCache = function() {
+  cachedPolicy = null;
+  cachedAt = 0;
+};
+
+// Check if two-factor authentication is mandatory for a role
+securityPolicySchema.methods.requiresTwoFactor = function(role) {
+  return this.twoFactorRequiredRoles.includes(role);
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const { describeUserAgent } = require('../utils/userAgent');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Hash of the current refresh token. Rotated on every refresh.
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Admin acting as `user` through an impersonation token
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Client the session was started from, shown in the device list
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenIp: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastRefreshedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'password_change', 'password_reset', 'user_deactivated', 'refresh_token_reuse', 'impersonation_ended', 'revoked_by_user', 'revoked_by_admin', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Remove sessions from the collection once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke this session
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Session as shown in a device list
+sessionSchema.methods.toDeviceSummary = function(currentSessionId = null) {
+  return {
+    id: this._id,
+    device: describeUserAgent(this.userAgent),
+    userAgent: this.userAgent,
+    ip: this.ip,
+    lastSeenIp: this.lastSeenIp,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    expiresAt: this.expiresAt,
+    impersonated: !!this.impersonator,
+    current: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+// Only write the last-seen time once per interval, not on every request
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Record that the session was just used
+sessionSchema.methods.touch = function(ip) {
+  const now = new Date();
+  if (this.lastSeenAt && now - this.lastSeenAt < LAST_SEEN_INTERVAL_MS && this.lastSeenIp === ip) {
+    return Promise.resolve(this);
+  }
+
+  this.lastSeenAt = now;
+  this.lastSeenIp = ip || null;
+  return this.constructor.updateOne({ _id: this._id }, { lastSeenAt: now, lastSeenIp: this.lastSeenIp });
+};
+
+// Active sessions of a user, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,6 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { PERMISSIONS } = require('../config/permissions');
+const { getPasswordPolicy, checkPassword } = require('../utils/passwordPolicy');
+const {
+  verifyTotp,
+  decryptSecret,
+  normalizeRecoveryCode
+} = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -28,7 +36,20 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters'],
+    // Only plain text passwords being set are checked, never stored hashes
+    validate: {
+      validator: function(value) {
+        // `this` is a query, not a document, in update validators
+        if (typeof this.isModified === 'function' && !this.isModified('password')) return true;
+        return checkPassword(value).length === 0;
+      },
+      message: props => checkPassword(props.value).join('. ')
+    },
+    select: false
+  },
+  // Hashes of the most recent passwords, newest first, to prevent reuse
+  passwordHistory: {
+    type: [String],
     select: false
   },
   role: {
@@ -56,6 +77,74 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Passwordless sign-in link, only valid on the device that asked for it
+  magicLinkToken: {
+    type: String,
+    select: false
+  },
+  magicLinkExpire: {
+    type: Date,
+    select: false
+  },
+  magicLinkDevice: {
+    type: String,
+    select: false
+  },
+  // Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // Login challenge that can still be completed. Cleared once it is used or
+  // too many codes fail, so a challenge cannot be guessed against for long.
+  twoFactorChallengeId: {
+    type: String,
+    select: false
+  },
   // Applicant specific fields
   resume: {
     type: String,
@@ -81,6 +170,16 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
+  companyRole: {
+    type: String,
+    enum: ['owner', 'member', null],
+    default: null
+  },
   companySize: {
     type: String,
     enum: ['1-10', '11-50', '51-200', '201-500', '500+']
@@ -89,10 +188,46 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Self-registered recruiters wait for an admin to approve them before
+  // they can post jobs or see applicants. Accounts created before the
+  // review queue existed have no status and count as approved.
+  recruiterStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected']
+  },
+  recruiterReviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  recruiterReviewedAt: {
+    type: Date,
+    default: null
+  },
+  recruiterRejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  // Identity at the company's OpenID Connect provider, set on first SSO login
+  ssoIssuer: {
+    type: String,
+    default: null
+  },
+  ssoSubject: {
+    type: String,
+    default: null
+  },
+  // Set once the account's personal data has been erased; the record only
+  // remains so statistics and references stay intact
+  anonymizedAt: {
+    type: Date,
+    default: null
+  },
   // Admin specific fields
   permissions: [{
     type: String,
-    enum: ['manage_users', 'manage_jobs', 'manage_applications', 'view_analytics']
+    enum: PERMISSIONS
   }]
 }, {
   timestamps: true,
@@ -109,15 +244,42 @@ userSchema.virtual('fullName').get(function() {
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ companyId: 1 });
+userSchema.index({ role: 1, recruiterStatus: 1 });
+userSchema.index(
+  { ssoIssuer: 1, ssoSubject: 1 },
+  { unique: true, partialFilterExpression: { ssoSubject: { $type: 'string' } } }
+);
+
+// New recruiter accounts join the review queue
+userSchema.pre('save', function(next) {
+  if (this.isNew && this.role === 'recruiter' && !this.recruiterStatus) {
+    this.recruiterStatus = 'pending';
+  }
+  next();
+});
 
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // History can only be updated when it was loaded, otherwise it would be
+  // overwritten with just the new hash
+  const { historyCount } = getPasswordPolicy();
+  if (historyCount > 0 && (this.isNew || this.isSelected('passwordHistory'))) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(0, historyCount);
+  }
+
+  // Tokens issued before this moment are no longer valid. One second is
+  // subtracted so a token signed right after the save is not rejected.
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
   next();
 });
 
@@ -126,21 +288,133 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.getSignedJwtToken = function() {
+// Generate short-lived JWT access token bound to a session
+userSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id,
       email: this.email,
-      role: this.role
+      role: this.role,
+      sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_EXPIRE || '15m'
+    }
+  );
+};
+
+// Sign a token that lets an admin act as this user. `imp` carries the
+// admin's id so both identities travel together.
+userSchema.methods.getSignedImpersonationToken = function(sessionId, impersonatorId, expiresInSeconds) {
+  return jwt.sign(
+    {
+      id: this._id,
+      email: this.email,
+      role: this.role,
+      sid: sessionId,
+      imp: impersonatorId,
+      typ: 'impersonation'
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE || '7d'
+      expiresIn: expiresInSeconds
     }
   );
 };
 
+// Check if password was changed after the token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Generate and hash password reset token
+userSchema.methods.getResetPasswordToken = function() {
+  const resetToken = generateToken();
+
+  // Only the hash is stored, the raw token is sent to the user
+  this.resetPasswordToken = hashToken(resetToken);
+
+  const expireMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 30;
+  this.resetPasswordExpire = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Generate and hash a one-time sign-in link token bound to a device token
+userSchema.methods.getMagicLinkToken = function(deviceToken) {
+  const magicToken = generateToken();
+
+  this.magicLinkToken = hashToken(magicToken);
+  this.magicLinkDevice = hashToken(deviceToken);
+
+  const expireMinutes = parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+  this.magicLinkExpire = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+  return magicToken;
+};
+
+// Generate and hash email verification token
+userSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = generateToken();
+
+  this.emailVerificationToken = hashToken(verificationToken);
+
+  const expireHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+  this.emailVerificationExpire = new Date(Date.now() + expireHours * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+// Verify a TOTP code against the active (or pending) secret. A code is
+// accepted once: steps at or before the last used one are rejected.
+userSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const encryptedSecret = pending ? this.twoFactorPendingSecret : this.twoFactorSecret;
+  if (!encryptedSecret) return false;
+
+  const step = verifyTotp(decryptSecret(encryptedSecret), code);
+  if (step === null) return false;
+
+  if (this.twoFactorLastUsedStep !== undefined && step <= this.twoFactorLastUsedStep) {
+    return false;
+  }
+
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Store hashed recovery codes
+userSchema.methods.setRecoveryCodes = function(codes) {
+  this.twoFactorRecoveryCodes = codes.map(code => hashToken(normalizeRecoveryCode(code)));
+};
+
+// Consume a recovery code, returns false if it does not match
+userSchema.methods.useRecoveryCode = function(code) {
+  const codeHash = hashToken(normalizeRecoveryCode(code));
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(codeHash);
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Check if user is an admin holding a permission
+userSchema.methods.hasPermission = function(permission) {
+  return this.role === 'admin' && (this.permissions || []).includes(permission);
+};
+
+// Check if user belongs to a company, optionally with a given role
+userSchema.methods.isCompanyMember = function(companyId, role = null) {
+  if (!this.companyId || this.companyId.toString() !== companyId.toString()) return false;
+  return !role || this.companyRole === role;
+};
+
+// Check if user may act as a recruiter
+userSchema.methods.isApprovedRecruiter = function() {
+  return this.role === 'recruiter' && (!this.recruiterStatus || this.recruiterStatus === 'approved');
+};
+
 // Update last login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize, requirePermission } = require('../middleware/auth');
+const { validateObjectId } = require('../middleware/validation');
+const {
+  createApiKey,
+  getApiKeys,
+  getApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+
+// @route   POST /api/api-keys
+// @desc    Issue API key (returned once)
+// @access  Private/Admin or Company owner
+router.post('/', protect, authorize('recruiter', 'admin'), requirePermission('manage_users'), createApiKey);
+
+// @route   GET /api/api-keys
+// @desc    Get API keys
+// @access  Private/Admin or Company owner
+router.get('/', protect, authorize('recruiter', 'admin'), requirePermission('manage_users'), getApiKeys);
+
+// @route   GET /api/api-keys/:id
+// @desc    Get single API key
+// @access  Private/Admin or Company owner
+router.get('/:id', protect, authorize('recruiter', 'admin'), requirePermission('manage_users'), validateObjectId('id'), getApiKey);
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke API key
+// @access  Private/Admin or Company owner
+router.delete('/:id', protect, authorize('recruiter', 'admin'), requirePermission('manage_users'), validateObjectId('id'), revokeApiKey);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const multer = require('multer');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
 const { validateApplication, validatePagination, validateObjectId } = require('../middleware/validation');
 
 // Import file upload utilities
@@ -25,7 +25,7 @@ const {
 // @route   GET /api/applications
 // @desc    Get all applications (recruiter/admin only)
 // @access  Private/Recruiter/Admin
-router.get('/', protect, authorize('recruiter', 'admin'), validatePagination, getApplications);
+router.get('/', protect, authorize('recruiter', 'admin'), requirePermission('manage_applications'), validatePagination, getApplications);
 
 // @route   GET /api/applications/my-applications
 // @desc    Get current user's applications (applicants only)
@@ -35,12 +35,12 @@ router.get('/my-applications', protect, authorize('applicant'), validatePaginati
 // @route   POST /api/applications
 // @desc    Create new application (applicants only)
 // @access  Private/Applicant
-router.post('/', protect, authorize('applicant'), uploadResume.single('resume'), validateApplication, createApplication);
+router.post('/', protect, authorize('applicant'), requireVerifiedEmail, uploadResume.single('resume'), validateApplication, createApplication);
 
 // @route   GET /api/applications/job/:jobId
 // @desc    Get applications for a specific job (recruiters/admin only)
 // @access  Private/Recruiter/Admin
-router.get('/job/:jobId', protect, authorize('recruiter', 'admin'), validateObjectId('jobId'), validatePagination, getApplicationsByJob);
+router.get('/job/:jobId', protect, authorize('recruiter', 'admin'), requirePermission('manage_applications'), validateObjectId('jobId'), validatePagination, getApplicationsByJob);
 
 // @route   GET /api/applications/:id
 // @desc    Get single application
@@ -60,7 +60,7 @@ router.delete('/:id', protect, validateObjectId('id'), deleteApplication);
 // @route   PATCH /api/applications/:id/status
 // @desc    Update application status (recruiters/admin only)
 // @access  Private/Recruiter/Admin
-router.patch('/:id/status', protect, authorize('recruiter', 'admin'), validateObjectId('id'), updateApplicationStatus);
+router.patch('/:id/status', protect, authorize('recruiter', 'admin'), requirePermission('manage_applications'), validateObjectId('id'), updateApplicationStatus);
 
 // @route   POST /api/applications/:id/notes
 // @desc    Add note to application
@@ -70,17 +70,17 @@ router.post('/:id/notes', protect, validateObjectId('id'), addNote);
 // @route   POST /api/applications/:id/rating
 // @desc    Rate application (recruiters/admin only)
 // @access  Private/Recruiter/Admin
-router.post('/:id/rating', protect, authorize('recruiter', 'admin'), validateObjectId('id'), rateApplication);
+router.post('/:id/rating', protect, authorize('recruiter', 'admin'), requirePermission('manage_applications'), validateObjectId('id'), rateApplication);
 
 // @route   GET /api/applications/export/:jobId
 // @desc    Export applications for a job (recruiters/admin only)
 // @access  Private/Recruiter/Admin
-router.get('/export/:jobId', protect, authorize('recruiter', 'admin'), validateObjectId('jobId'), exportApplications);
+router.get('/export/:jobId', protect, authorize('recruiter', 'admin'), requirePermission('manage_applications'), validateObjectId('jobId'), exportApplications);
 
 // @route   PATCH /api/applications/bulk-status
 // @desc    Bulk update application status (recruiters/admin only)
 // @access  Private/Recruiter/Admin
-router.patch('/bulk-status', protect, authorize('recruiter', 'admin'), bulkUpdateStatus);
+router.patch('/bulk-status', protect, authorize('recruiter', 'admin'), requirePermission('manage_applications'), bulkUpdateStatus);
 
 // @route   GET /api/applications/:id/resume
 // @desc    Download resume for an application
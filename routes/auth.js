@@ -1,18 +1,49 @@
 const express = require('express');
 const router = express.Router();
-const { protect, sensitiveOperationLimit } = require('../middleware/auth');
-const { validateRegister, validateLogin } = require('../middleware/validation');
+const { protect, authorize, optionalAuth, sensitiveOperationLimit, loginThrottle } = require('../middleware/auth');
+const {
+  validateRegister,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
+  validateMagicLink,
+  validateMagicLinkVerify,
+  validateInvitation,
+  validateAcceptInvitation,
+  validateObjectId
+} = require('../middleware/validation');
 const {
   register,
+  inviteTeamMember,
+  getInvitations,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation,
   login,
+  requestMagicLink,
+  verifyMagicLink,
+  oidcAuthorize,
+  oidcCallback,
+  refreshAccessToken,
   logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  endImpersonation,
   getMe,
   updateProfile,
+  getPasswordPolicy,
   changePassword,
   forgotPassword,
   resetPassword,
   verifyEmail,
-  resendVerification
+  resendVerification,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require('../controllers/authController');
 
 // @route   POST /api/auth/register
@@ -20,16 +51,86 @@ const {
 // @access  Public
 router.post('/register', validateRegister, register);
 
+// @route   POST /api/auth/invitations
+// @desc    Invite a colleague to the company team
+// @access  Private/Company owner
+router.post('/invitations', protect, authorize('recruiter'), sensitiveOperationLimit(20), validateInvitation, inviteTeamMember);
+
+// @route   GET /api/auth/invitations
+// @desc    Get company invitations
+// @access  Private/Company owner
+router.get('/invitations', protect, authorize('recruiter'), getInvitations);
+
+// @route   DELETE /api/auth/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private/Company owner
+router.delete('/invitations/:id', protect, authorize('recruiter'), validateObjectId('id'), revokeInvitation);
+
+// @route   GET /api/auth/invitations/:token
+// @desc    Get invitation details
+// @access  Public
+router.get('/invitations/:token', getInvitation);
+
+// @route   POST /api/auth/invitations/:token/accept
+// @desc    Accept invitation (register or join with current account)
+// @access  Public (optional auth)
+router.post('/invitations/:token/accept', sensitiveOperationLimit(5), optionalAuth, validateAcceptInvitation, acceptInvitation);
+
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', validateLogin, sensitiveOperationLimit(5), login);
+router.post('/login', validateLogin, loginThrottle('login'), login);
+
+// @route   POST /api/auth/magic-link
+// @desc    Email a one-time sign-in link (applicants)
+// @access  Public
+router.post('/magic-link', validateMagicLink, loginThrottle('magic-link'), requestMagicLink);
+
+// @route   POST /api/auth/magic-link/verify
+// @desc    Sign in with a magic link
+// @access  Public
+router.post('/magic-link/verify', validateMagicLinkVerify, loginThrottle('magic-link-verify'), verifyMagicLink);
+
+// @route   GET /api/auth/oidc/:company/authorize
+// @desc    Start single sign-on with the company's identity provider
+// @access  Public
+router.get('/oidc/:company/authorize', sensitiveOperationLimit(20), oidcAuthorize);
+
+// @route   POST /api/auth/oidc/callback
+// @desc    Complete single sign-on with the provider's code and state
+// @access  Public
+router.post('/oidc/callback', sensitiveOperationLimit(20), oidcCallback);
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token and issue a new access token
+// @access  Public
+router.post('/refresh', refreshAccessToken);
 
 // @route   POST /api/auth/logout
 // @desc    Logout user
 // @access  Private
 router.post('/logout', protect, logout);
 
+// @route   GET /api/auth/sessions
+// @desc    List the devices you are signed in on
+// @access  Private
+router.get('/sessions', protect, getSessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out all other devices (?includeCurrent=true for every device)
+// @access  Private
+router.delete('/sessions', protect, revokeAllSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', protect, validateObjectId('id'), revokeSession);
+
+// @route   POST /api/auth/impersonation/end
+// @desc    End an impersonation session
+// @access  Private (impersonation token)
+router.post('/impersonation/end', protect, endImpersonation);
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -40,20 +141,25 @@ router.get('/me', protect, getMe);
 // @access  Private
 router.put('/profile', protect, updateProfile);
 
+// @route   GET /api/auth/password-policy
+// @desc    Get the password rules to show next to password fields
+// @access  Public
+router.get('/password-policy', getPasswordPolicy);
+
 // @route   PUT /api/auth/password
 // @desc    Change password
 // @access  Private
-router.put('/password', protect, sensitiveOperationLimit(3), changePassword);
+router.put('/password', protect, validateChangePassword, loginThrottle('password'), changePassword);
 
 // @route   POST /api/auth/forgot-password
 // @desc    Forgot password
 // @access  Public
-router.post('/forgot-password', sensitiveOperationLimit(3), forgotPassword);
+router.post('/forgot-password', validateForgotPassword, loginThrottle('forgot-password'), forgotPassword);
 
 // @route   PUT /api/auth/reset-password/:token
 // @desc    Reset password
 // @access  Public
-router.put('/reset-password/:token', sensitiveOperationLimit(3), resetPassword);
+router.put('/reset-password/:token', sensitiveOperationLimit(3), validateResetPassword, resetPassword);
 
 // @route   GET /api/auth/verify-email/:token
 // @desc    Verify email
@@ -65,4 +171,29 @@ router.get('/verify-email/:token', verifyEmail);
 // @access  Private
 router.post('/resend-verification', protect, sensitiveOperationLimit(3), resendVerification);
 
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete login with a two-factor code
+// @access  Public
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrolment
+// @access  Private
+router.post('/2fa/setup', protect, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment and enable two-factor authentication
+// @access  Private
+router.post('/2fa/enable', protect, sensitiveOperationLimit(5), enableTwoFactor);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable', protect, sensitiveOperationLimit(3), disableTwoFactor);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', protect, sensitiveOperationLimit(3), regenerateRecoveryCodes);
+
 module.exports = router;
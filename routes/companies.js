@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize, requirePermission } = require('../middleware/auth');
+const { validateCompany, validateRequisitionApprovals, validateObjectId } = require('../middleware/validation');
+const { uploadLogo, handleUploadError } = require('../utils/fileUpload');
+const {
+  createCompany,
+  getMyCompany,
+  getCompany,
+  updateCompany,
+  uploadCompanyLogo,
+  getCompanySso,
+  updateCompanySso,
+  getRequisitionApprovals,
+  updateRequisitionApprovals,
+  getMembers,
+  addMember,
+  updateMemberRole,
+  removeMember
+} = require('../controllers/companyController');
+
+// @route   POST /api/companies
+// @desc    Create company and become its owner
+// @access  Private/Recruiter
+router.post('/', protect, authorize('recruiter'), validateCompany, createCompany);
+
+// @route   GET /api/companies/mine
+// @desc    Get current user's company with its team
+// @access  Private/Recruiter
+router.get('/mine', protect, authorize('recruiter'), getMyCompany);
+
+// @route   GET /api/companies/:id
+// @desc    Get company profile
+// @access  Public
+router.get('/:id', validateObjectId('id'), getCompany);
+
+// @route   PUT /api/companies/:id
+// @desc    Update company profile
+// @access  Private/Company owner or Admin
+router.put('/:id', protect, authorize('recruiter', 'admin'), validateObjectId('id'), validateCompany, updateCompany);
+
+// @route   POST /api/companies/:id/logo
+// @desc    Upload company logo
+// @access  Private/Company owner or Admin
+router.post('/:id/logo', protect, authorize('recruiter', 'admin'), validateObjectId('id'), uploadLogo.single('logo'), handleUploadError, uploadCompanyLogo);
+
+// @route   GET /api/companies/:id/sso
+// @desc    Get single sign-on settings
+// @access  Private/Company owner or Admin
+router.get('/:id/sso', protect, authorize('recruiter', 'admin'), validateObjectId('id'), getCompanySso);
+
+// @route   PUT /api/companies/:id/sso
+// @desc    Update single sign-on settings
+// @access  Private/Company owner or Admin
+router.put('/:id/sso', protect, authorize('recruiter', 'admin'), validateObjectId('id'), updateCompanySso);
+
+// @route   GET /api/companies/:id/requisition-approvals
+// @desc    Get the approval chain for job requisitions
+// @access  Private/Company member or Admin
+router.get('/:id/requisition-approvals', protect, authorize('recruiter', 'admin'), validateObjectId('id'), getRequisitionApprovals);
+
+// @route   PUT /api/companies/:id/requisition-approvals
+// @desc    Replace the approval chain for job requisitions
+// @access  Private/Company owner or Admin
+router.put('/:id/requisition-approvals', protect, authorize('recruiter', 'admin'), validateObjectId('id'), validateRequisitionApprovals, updateRequisitionApprovals);
+
+// @route   GET /api/companies/:id/members
+// @desc    Get company team members
+// @access  Private/Company member or Admin
+router.get('/:id/members', protect, authorize('recruiter', 'admin'), validateObjectId('id'), getMembers);
+
+// @route   POST /api/companies/:id/members
+// @desc    Add an existing recruiter to a company
+// @access  Private/Admin
+router.post('/:id/members', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), addMember);
+
+// @route   PATCH /api/companies/:id/members/:userId
+// @desc    Change a member's company role
+// @access  Private/Company owner or Admin
+router.patch('/:id/members/:userId', protect, authorize('recruiter', 'admin'), validateObjectId('id'), validateObjectId('userId'), updateMemberRole);
+
+// @route   DELETE /api/companies/:id/members/:userId
+// @desc    Remove a member from a company (or leave it)
+// @access  Private/Company owner, the member themselves, or Admin
+router.delete('/:id/members/:userId', protect, authorize('recruiter', 'admin'), validateObjectId('id'), validateObjectId('userId'), removeMember);
+
+module.exports = router;
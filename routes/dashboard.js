@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 const {
   getDashboardStats,
   getApplicantDashboard,
@@ -29,7 +29,7 @@ router.get('/recruiter', protect, authorize('recruiter'), getRecruiterDashboard)
 // @route   GET /api/dashboard/admin
 // @desc    Get admin dashboard data
 // @access  Private/Admin
-router.get('/admin', protect, authorize('admin'), getAdminDashboard);
+router.get('/admin', protect, authorize('admin'), requirePermission('view_analytics'), getAdminDashboard);
 
 // @route   GET /api/dashboard/activity
 // @desc    Get recent activity
@@ -39,11 +39,11 @@ router.get('/activity', protect, getRecentActivity);
 // @route   GET /api/dashboard/analytics
 // @desc    Get analytics data (admin/recruiter only)
 // @access  Private/Recruiter/Admin
-router.get('/analytics', protect, authorize('recruiter', 'admin'), getAnalytics);
+router.get('/analytics', protect, authorize('recruiter', 'admin'), requirePermission('view_analytics'), getAnalytics);
 
 // @route   GET /api/dashboard/reports
 // @desc    Get reports (admin only)
 // @access  Private/Admin
-router.get('/reports', protect, authorize('admin'), getReports);
+router.get('/reports', protect, authorize('admin'), requirePermission('view_analytics'), getReports);
 
 module.exports = router;
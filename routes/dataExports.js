@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { validateObjectId } = require('../middleware/validation');
+const {
+  requestDataExport,
+  getDataExports,
+  getDataExport,
+  downloadDataExport
+} = require('../controllers/dataExportController');
+
+// @route   POST /api/data-exports
+// @desc    Request an export of your personal data (admins may pass userId)
+// @access  Private
+router.post('/', protect, requestDataExport);
+
+// @route   GET /api/data-exports
+// @desc    Get your recent data exports
+// @access  Private
+router.get('/', protect, getDataExports);
+
+// @route   GET /api/data-exports/:id
+// @desc    Get data export status
+// @access  Private
+router.get('/:id', protect, validateObjectId('id'), getDataExport);
+
+// @route   GET /api/data-exports/:id/download
+// @desc    Download the archive with the emailed token
+// @access  Public
+router.get('/:id/download', validateObjectId('id'), downloadDataExport);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { protect, authorize, requirePermission, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
 const { validateJob, validatePagination, validateObjectId } = require('../middleware/validation');
 const {
   getJobs,
@@ -13,7 +13,13 @@ const {
   getFeaturedJobs,
   getJobStats,
   toggleJobStatus,
-  duplicateJob
+  duplicateJob,
+  getJobRevisions,
+  getJobRevision,
+  restoreJobRevision,
+  getModerationQueue,
+  approveJob,
+  rejectJob
 } = require('../controllers/jobController');
 
 // @route   GET /api/jobs
@@ -34,12 +40,17 @@ router.get('/featured', optionalAuth, getFeaturedJobs);
 // @route   GET /api/jobs/my-jobs
 // @desc    Get jobs posted by current user (recruiters only)
 // @access  Private/Recruiter
-router.get('/my-jobs', protect, authorize('recruiter', 'admin'), validatePagination, getMyJobs);
+router.get('/my-jobs', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validatePagination, getMyJobs);
+
+// @route   GET /api/jobs/moderation
+// @desc    Get postings in the moderation queue
+// @access  Private/Admin
+router.get('/moderation', protect, authorize('admin'), requirePermission('manage_jobs'), validatePagination, getModerationQueue);
 
 // @route   POST /api/jobs
 // @desc    Create new job (recruiters only)
 // @access  Private/Recruiter
-router.post('/', protect, authorize('recruiter', 'admin'), validateJob, createJob);
+router.post('/', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), requireVerifiedEmail, validateJob, createJob);
 
 // @route   GET /api/jobs/:id
 // @desc    Get single job
@@ -49,26 +60,51 @@ router.get('/:id', optionalAuth, validateObjectId('id'), getJob);
 // @route   PUT /api/jobs/:id
 // @desc    Update job
 // @access  Private/Recruiter (own jobs) or Admin
-router.put('/:id', protect, authorize('recruiter', 'admin'), validateObjectId('id'), validateJob, updateJob);
+router.put('/:id', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validateObjectId('id'), validateJob, updateJob);
 
 // @route   DELETE /api/jobs/:id
 // @desc    Delete job
 // @access  Private/Recruiter (own jobs) or Admin
-router.delete('/:id', protect, authorize('recruiter', 'admin'), validateObjectId('id'), deleteJob);
+router.delete('/:id', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validateObjectId('id'), deleteJob);
 
 // @route   PATCH /api/jobs/:id/status
 // @desc    Toggle job status (active/paused/closed)
 // @access  Private/Recruiter (own jobs) or Admin
-router.patch('/:id/status', protect, authorize('recruiter', 'admin'), validateObjectId('id'), toggleJobStatus);
+router.patch('/:id/status', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validateObjectId('id'), toggleJobStatus);
 
 // @route   POST /api/jobs/:id/duplicate
 // @desc    Duplicate job
 // @access  Private/Recruiter (own jobs) or Admin
-router.post('/:id/duplicate', protect, authorize('recruiter', 'admin'), validateObjectId('id'), duplicateJob);
+router.post('/:id/duplicate', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validateObjectId('id'), duplicateJob);
 
 // @route   GET /api/jobs/:id/stats
 // @desc    Get job statistics
 // @access  Private/Recruiter (own jobs) or Admin
-router.get('/:id/stats', protect, authorize('recruiter', 'admin'), validateObjectId('id'), getJobStats);
+router.get('/:id/stats', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validateObjectId('id'), getJobStats);
+
+// @route   GET /api/jobs/:id/revisions
+// @desc    Get a job's revision history
+// @access  Private/Recruiter (own jobs) or Admin
+router.get('/:id/revisions', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validateObjectId('id'), validatePagination, getJobRevisions);
+
+// @route   GET /api/jobs/:id/revisions/:revision
+// @desc    Get a past version of a job
+// @access  Private/Recruiter (own jobs) or Admin
+router.get('/:id/revisions/:revision', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validateObjectId('id'), getJobRevision);
+
+// @route   POST /api/jobs/:id/revisions/:revision/restore
+// @desc    Restore a job to a past version
+// @access  Private/Recruiter (own jobs) or Admin
+router.post('/:id/revisions/:revision/restore', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validateObjectId('id'), restoreJobRevision);
+
+// @route   PATCH /api/jobs/:id/approve
+// @desc    Approve a posting waiting for review
+// @access  Private/Admin
+router.patch('/:id/approve', protect, authorize('admin'), requirePermission('manage_jobs'), validateObjectId('id'), approveJob);
+
+// @route   PATCH /api/jobs/:id/reject
+// @desc    Reject a posting waiting for review
+// @access  Private/Admin
+router.patch('/:id/reject', protect, authorize('admin'), requirePermission('manage_jobs'), validateObjectId('id'), rejectJob);
 
 module.exports = router;
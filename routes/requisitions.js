@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize, requirePermission } = require('../middleware/auth');
+const { validateRequisition, validateObjectId, validatePagination } = require('../middleware/validation');
+const {
+  getRequisitions,
+  getRequisition,
+  createRequisition,
+  approveRequisition,
+  rejectRequisition,
+  addRequisitionComment,
+  cancelRequisition
+} = require('../controllers/requisitionController');
+
+// @route   GET /api/requisitions
+// @desc    Get requisitions for your team (?status=, ?awaiting=me)
+// @access  Private/Recruiter/Admin
+router.get('/', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validatePagination, getRequisitions);
+
+// @route   POST /api/requisitions
+// @desc    Request headcount and budget for a role
+// @access  Private/Recruiter/Admin
+router.post('/', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validateRequisition, createRequisition);
+
+// @route   GET /api/requisitions/:id
+// @desc    Get requisition with its approval steps and linked jobs
+// @access  Private/Recruiter/Admin
+router.get('/:id', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validateObjectId('id'), getRequisition);
+
+// @route   POST /api/requisitions/:id/approve
+// @desc    Approve the current approval step
+// @access  Private/Approver or Admin
+router.post('/:id/approve', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validateObjectId('id'), approveRequisition);
+
+// @route   POST /api/requisitions/:id/reject
+// @desc    Reject the requisition (comment required)
+// @access  Private/Approver or Admin
+router.post('/:id/reject', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validateObjectId('id'), rejectRequisition);
+
+// @route   POST /api/requisitions/:id/comments
+// @desc    Comment on a requisition
+// @access  Private/Recruiter/Admin
+router.post('/:id/comments', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validateObjectId('id'), addRequisitionComment);
+
+// @route   PATCH /api/requisitions/:id/cancel
+// @desc    Cancel a pending requisition
+// @access  Private/Requester, company owner or Admin
+router.patch('/:id/cancel', protect, authorize('recruiter', 'admin'), requirePermission('manage_jobs'), validateObjectId('id'), cancelRequisition);
+
+module.exports = router;
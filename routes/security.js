@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize, requirePermission } = require('../middleware/auth');
+const { validatePagination } = require('../middleware/validation');
+const {
+  getSecurityPolicy,
+  updateSecurityPolicy,
+  getAuditLogs
+} = require('../controllers/securityController');
+
+// @route   GET /api/security/policy
+// @desc    Get security policy (admin only)
+// @access  Private/Admin
+router.get('/policy', protect, authorize('admin'), requirePermission('manage_users'), getSecurityPolicy);
+
+// @route   PUT /api/security/policy
+// @desc    Update security policy, e.g. roles that must use 2FA (admin only)
+// @access  Private/Admin
+router.put('/policy', protect, authorize('admin'), requirePermission('manage_users'), updateSecurityPolicy);
+
+// @route   GET /api/security/audit-logs
+// @desc    Get audit log entries (admin only)
+// @access  Private/Admin
+router.get('/audit-logs', protect, authorize('admin'), requirePermission('manage_users'), validatePagination, getAuditLogs);
+
+module.exports = router;
@@ -1,21 +1,76 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
-const { validatePagination, validateObjectId } = require('../middleware/validation');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
+const {
+  validatePagination,
+  validateObjectId,
+  validateUserFilters,
+  validateBulkUserAction
+} = require('../middleware/validation');
 const {
   getUsers,
+  exportUsers,
   getUser,
   updateUser,
   deleteUser,
+  reactivateUser,
+  bulkDeactivateUsers,
+  bulkReactivateUsers,
+  previewErasure,
+  eraseUser,
+  getErasureCertificate,
+  unlockUser,
+  getUserSessions,
+  revokeUserSession,
+  revokeUserSessions,
+  impersonateUser,
+  getRecruiterApplications,
+  approveRecruiter,
+  rejectRecruiter,
+  setPermissions,
+  grantPermission,
+  revokePermission,
+  getLockouts,
+  clearLockout,
   uploadProfilePicture,
   uploadResume,
   getUserStats
 } = require('../controllers/userController');
 
 // @route   GET /api/users
-// @desc    Get all users (admin only)
+// @desc    Search and filter users (admin only)
+// @access  Private/Admin
+router.get('/', protect, authorize('admin'), requirePermission('manage_users'), validatePagination, validateUserFilters, getUsers);
+
+// @route   GET /api/users/export
+// @desc    Export the filtered users as CSV (admin only)
+// @access  Private/Admin
+router.get('/export', protect, authorize('admin'), requirePermission('manage_users'), validateUserFilters, exportUsers);
+
+// @route   POST /api/users/bulk/deactivate
+// @desc    Deactivate several users (admin only)
+// @access  Private/Admin
+router.post('/bulk/deactivate', protect, authorize('admin'), requirePermission('manage_users'), validateBulkUserAction, bulkDeactivateUsers);
+
+// @route   POST /api/users/bulk/reactivate
+// @desc    Reactivate several users (admin only)
+// @access  Private/Admin
+router.post('/bulk/reactivate', protect, authorize('admin'), requirePermission('manage_users'), validateBulkUserAction, bulkReactivateUsers);
+
+// @route   GET /api/users/lockouts
+// @desc    Get active login lockouts (admin only)
+// @access  Private/Admin
+router.get('/lockouts', protect, authorize('admin'), requirePermission('manage_users'), getLockouts);
+
+// @route   DELETE /api/users/lockouts/:lockoutId
+// @desc    Clear a login lockout (admin only)
 // @access  Private/Admin
-router.get('/', protect, authorize('admin'), validatePagination, getUsers);
+router.delete('/lockouts/:lockoutId', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('lockoutId'), clearLockout);
+
+// @route   GET /api/users/recruiter-applications
+// @desc    Get recruiter accounts awaiting review, or by ?status= (admin only)
+// @access  Private/Admin
+router.get('/recruiter-applications', protect, authorize('admin'), requirePermission('manage_users'), validatePagination, getRecruiterApplications);
 
 // @route   GET /api/users/:id
 // @desc    Get user by ID
@@ -25,12 +80,82 @@ router.get('/:id', protect, validateObjectId('id'), getUser);
 // @route   PUT /api/users/:id
 // @desc    Update user (admin only)
 // @access  Private/Admin
-router.put('/:id', protect, authorize('admin'), validateObjectId('id'), updateUser);
+router.put('/:id', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), updateUser);
 
 // @route   DELETE /api/users/:id
 // @desc    Delete user (admin only)
 // @access  Private/Admin
-router.delete('/:id', protect, authorize('admin'), validateObjectId('id'), deleteUser);
+router.delete('/:id', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), deleteUser);
+
+// @route   GET /api/users/:id/erasure-preview
+// @desc    Dry run of erasing a user's personal data (admin only)
+// @access  Private/Admin
+router.get('/:id/erasure-preview', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), previewErasure);
+
+// @route   POST /api/users/:id/erase
+// @desc    Erase a user's personal data and issue a certificate (admin only)
+// @access  Private/Admin
+router.post('/:id/erase', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), eraseUser);
+
+// @route   GET /api/users/:id/erasure-certificate
+// @desc    Get the erasure certificate for a user (admin only)
+// @access  Private/Admin
+router.get('/:id/erasure-certificate', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), getErasureCertificate);
+
+// @route   PATCH /api/users/:id/reactivate
+// @desc    Reactivate a deactivated user (admin only)
+// @access  Private/Admin
+router.patch('/:id/reactivate', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), reactivateUser);
+
+// @route   PATCH /api/users/:id/unlock
+// @desc    Unlock a locked user account (admin only)
+// @access  Private/Admin
+router.patch('/:id/unlock', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), unlockUser);
+
+// @route   GET /api/users/:id/sessions
+// @desc    Get a user's active sessions (admin only)
+// @access  Private/Admin
+router.get('/:id/sessions', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), getUserSessions);
+
+// @route   DELETE /api/users/:id/sessions
+// @desc    Sign a user out of every device (admin only)
+// @access  Private/Admin
+router.delete('/:id/sessions', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), revokeUserSessions);
+
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @desc    Revoke one of a user's sessions (admin only)
+// @access  Private/Admin
+router.delete('/:id/sessions/:sessionId', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), validateObjectId('sessionId'), revokeUserSession);
+
+// @route   POST /api/users/:id/impersonate
+// @desc    Get a short-lived token to act as a user (admin only)
+// @access  Private/Admin
+router.post('/:id/impersonate', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), impersonateUser);
+
+// @route   PATCH /api/users/:id/approve-recruiter
+// @desc    Approve a recruiter account (admin only)
+// @access  Private/Admin
+router.patch('/:id/approve-recruiter', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), approveRecruiter);
+
+// @route   PATCH /api/users/:id/reject-recruiter
+// @desc    Reject a recruiter account with a reason (admin only)
+// @access  Private/Admin
+router.patch('/:id/reject-recruiter', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), rejectRecruiter);
+
+// @route   PUT /api/users/:id/permissions
+// @desc    Replace an admin's permissions (admin only)
+// @access  Private/Admin
+router.put('/:id/permissions', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), setPermissions);
+
+// @route   POST /api/users/:id/permissions
+// @desc    Grant a permission to an admin (admin only)
+// @access  Private/Admin
+router.post('/:id/permissions', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), grantPermission);
+
+// @route   DELETE /api/users/:id/permissions/:permission
+// @desc    Revoke a permission from an admin (admin only)
+// @access  Private/Admin
+router.delete('/:id/permissions/:permission', protect, authorize('admin'), requirePermission('manage_users'), validateObjectId('id'), revokePermission);
 
 // @route   POST /api/users/upload-profile-picture
 // @desc    Upload profile picture
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import the User model
+const User = require('../models/User');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/recruitment_system';
+    await mongoose.connect(mongoUri, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ Database connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+// Permissions are now enforced, so admins created before that (with an
+// empty permission list) would lose access. Give them every permission.
+// Pass an email to only update that admin: node scripts/grant-admin-permissions.js admin@example.com
+const grantAdminPermissions = async () => {
+  try {
+    const query = { role: 'admin' };
+
+    if (process.argv[2]) {
+      query.email = process.argv[2].toLowerCase();
+    } else {
+      query.$or = [{ permissions: { $exists: false } }, { permissions: { $size: 0 } }];
+    }
+
+    const admins = await User.find(query);
+    console.log(`📊 Found ${admins.length} admin(s) to update`);
+
+    for (const admin of admins) {
+      admin.permissions = PERMISSIONS;
+      await admin.save({ validateBeforeSave: false });
+      console.log(`   ✅ ${admin.email}: ${PERMISSIONS.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('❌ Error granting admin permissions:', error);
+  }
+};
+
+// Run the script
+const runScript = async () => {
+  await connectDB();
+  await grantAdminPermissions();
+  await mongoose.connection.close();
+  console.log('✅ Script completed');
+  process.exit(0);
+};
+
+runScript().catch(error => {
+  console.error('❌ Script failed:', error);
+  process.exit(1);
+});
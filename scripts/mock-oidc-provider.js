@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+// Minimal OpenID Connect provider for trying single sign-on locally.
+// It signs every user in without a password, as the identity configured
+// through environment variables (or the login_hint query parameter):
+//
+//   MOCK_OIDC_PORT=4010 MOCK_OIDC_EMAIL=jane@acme.test MOCK_OIDC_GROUPS=recruiters \
+//     node scripts/mock-oidc-provider.js
+//
+// Then configure the company with PUT /api/companies/:id/sso:
+//   { "enabled": true, "issuer": "http://localhost:4010", "clientId": "recruitment-app",
+//     "clientSecret": "mock-secret", "groupMappings": [{ "group": "recruiters" }] }
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'recruitment-app';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+const KEY_ID = 'mock-key-1';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Authorization codes and access tokens only live in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+// Identity returned for a login
+const buildIdentity = (loginHint) => {
+  const email = (loginHint || process.env.MOCK_OIDC_EMAIL || 'jane.doe@example.com').toLowerCase();
+  const [localPart] = email.split('@');
+  const [givenName, familyName] = localPart.split(/[._-]/);
+
+  return {
+    sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+    email,
+    email_verified: true,
+    given_name: givenName ? givenName[0].toUpperCase() + givenName.slice(1) : 'Mock',
+    family_name: familyName ? familyName[0].toUpperCase() + familyName.slice(1) : 'User',
+    groups: (process.env.MOCK_OIDC_GROUPS || 'recruiters').split(',').map(group => group.trim()).filter(Boolean)
+  };
+};
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+// Discovery document
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none']
+  });
+});
+
+// Signing keys
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+// Login page: skipped, the user is signed in straight away
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+  if (client_id !== CLIENT_ID || !redirect_uri) {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'Unknown client or missing redirect_uri' });
+  }
+
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'PKCE with S256 is required' });
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    identity: buildIdentity(login_hint),
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const target = new URL(redirect_uri);
+  target.searchParams.set('code', code);
+  if (state) target.searchParams.set('state', state);
+
+  console.log(`🔑 Signed in ${codes.get(code).identity.email}, redirecting to ${target.origin}${target.pathname}`);
+  res.redirect(target.toString());
+});
+
+// Exchange a code for tokens
+app.post('/token', (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(req.headers.authorization.slice(6), 'base64').toString().split(':');
+    clientId = decodeURIComponent(id);
+    clientSecret = decodeURIComponent(secret);
+  }
+
+  if (clientId !== CLIENT_ID || (clientSecret && clientSecret !== CLIENT_SECRET)) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = base64url(crypto.createHash('sha256').update(req.body.code_verifier || '').digest());
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  accessTokens.set(accessToken, grant.identity);
+
+  const idToken = jwt.sign(
+    { ...grant.identity, nonce: grant.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+// Claims for an access token
+app.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const identity = accessTokens.get(token);
+
+  if (!identity) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(identity);
+});
+
+app.listen(PORT, () => {
+  console.log(`🚀 Mock OIDC provider running at ${ISSUER}`);
+  console.log(`   client_id=${CLIENT_ID} client_secret=${CLIENT_SECRET}`);
+});
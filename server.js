@@ -4,6 +4,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
@@ -15,10 +16,18 @@ const applicationRoutes = require('./routes/applications');
 const dashboardRoutes = require('./routes/dashboard');
 const interviewRoutes = require('./routes/interviews');
 const resumeRoutes = require('./routes/resumes');
+const securityRoutes = require('./routes/security');
+const companyRoutes = require('./routes/companies');
+const apiKeyRoutes = require('./routes/apiKeys');
+const dataExportRoutes = require('./routes/dataExports');
+const requisitionRoutes = require('./routes/requisitions');
+const { cleanupExpiredExports } = require('./utils/dataExport');
+const { runJobLifecycle, getIntervalMinutes } = require('./utils/jobScheduler');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
+const { apiKeyRateLimit } = require('./middleware/apiKey');
 
 const app = express();
 
@@ -51,12 +60,13 @@ const devLimiter = rateLimit({
   skipFailedRequests: false,
 });
 
-// Apply rate limiting based on environment
+// Apply rate limiting based on environment. Requests sent with an API key
+// are limited per key instead of per IP.
 if (process.env.NODE_ENV === 'production') {
-  app.use('/api/', limiter);
+  app.use('/api/', apiKeyRateLimit(limiter));
 } else {
   // In development, use more lenient rate limiting
-  app.use('/api/', devLimiter);
+  app.use('/api/', apiKeyRateLimit(devLimiter));
 }
 
 // CORS configuration - more permissive for development
@@ -95,7 +105,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-CSRF-Token', 'X-API-Key'],
   optionsSuccessStatus: 200,
   preflightContinue: false
 };
@@ -118,6 +128,7 @@ if (process.env.NODE_ENV === 'development') {
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Static files
 app.use('/uploads', express.static('uploads'));
@@ -151,6 +162,11 @@ app.use('/api/applications', applicationRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/interviews', interviewRoutes);
 app.use('/api/resumes', resumeRoutes);
+app.use('/api/security', securityRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/data-exports', dataExportRoutes);
+app.use('/api/requisitions', requisitionRoutes);
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -210,4 +226,18 @@ const server = app.listen(PORT, () => {
   `);
 });
 
+// Delete data export archives once their download link has expired
+const exportCleanupTimer = setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return;
+  cleanupExpiredExports().catch(error => console.error('Data export cleanup error:', error));
+}, 60 * 60 * 1000);
+exportCleanupTimer.unref();
+
+// Publish scheduled jobs, close expired ones and send deadline reminders
+const jobSchedulerTimer = setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return;
+  runJobLifecycle().catch(error => console.error('Job scheduler error:', error));
+}, getIntervalMinutes() * 60 * 1000);
+jobSchedulerTimer.unref();
+
 module.exports = app;
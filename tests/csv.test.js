@@ -0,0 +1,43 @@
+const { toCsv } = require('../utils/csv');
+
+const columns = [
+  { header: 'Name', value: row => row.name },
+  { header: 'Joined', value: row => row.joined }
+];
+
+describe('toCsv', () => {
+  it('writes a header and one CRLF terminated line per row', () => {
+    const csv = toCsv(columns, [
+      { name: 'Jane', joined: new Date('2025-01-02T03:04:05.000Z') },
+      { name: 'John', joined: null }
+    ]);
+
+    expect(csv).toBe('Name,Joined\r\nJane,2025-01-02T03:04:05.000Z\r\nJohn,\r\n');
+  });
+
+  it('writes only the header when there are no rows', () => {
+    expect(toCsv(columns, [])).toBe('Name,Joined\r\n');
+  });
+
+  it('quotes cells with commas, quotes and line breaks', () => {
+    const csv = toCsv([{ header: 'Value', value: row => row }], ['Doe, Jane', 'Say "hi"', 'two\nlines']);
+
+    expect(csv.split('\r\n').slice(1, 4)).toEqual(['"Doe, Jane"', '"Say ""hi"""', '"two\nlines"']);
+  });
+
+  it.each(['=HYPERLINK("http://evil.test")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd'])(
+    'neutralizes the formula %j',
+    (value) => {
+      const [, cell] = toCsv([{ header: 'Value', value: () => value }], [{}]).split('\r\n');
+      const unquoted = cell.startsWith('"') ? cell.slice(1, -1).replace(/""/g, '"') : cell;
+
+      expect(unquoted).toBe(`'${value}`);
+    }
+  );
+
+  it('leaves booleans, numbers and IDs as they are', () => {
+    const csv = toCsv([{ header: 'Value', value: row => row }], [true, 42, '64b7f0c2a1b2c3d4e5f60718']);
+
+    expect(csv).toBe('Value\r\ntrue\r\n42\r\n64b7f0c2a1b2c3d4e5f60718\r\n');
+  });
+});
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { FIELD_ACCESS, FIELD_HINTS } = require('../config/fieldAccess');
+const { filterWritableFields, sendFieldErrors } = require('../utils/fieldAccess');
+
+// Register the models the rules refer to
+require('../models/Job');
+require('../models/User');
+require('../models/Application');
+require('../models/Requisition');
+
+describe('field access rules', () => {
+  const unknownFields = (model, fields) => {
+    const { schema } = mongoose.model(model);
+    return fields.filter(field => schema.pathType(field) === 'adhocOrUndefined');
+  };
+
+  it.each(Object.entries(FIELD_ACCESS))('%s only allows fields its model defines', (resource, access) => {
+    expect(unknownFields(access.model, Object.values(access.roles).flat())).toEqual([]);
+  });
+
+  it.each(Object.entries(FIELD_HINTS))('%s hints only name fields the model defines', (model, hints) => {
+    expect(unknownFields(model, Object.keys(hints))).toEqual([]);
+  });
+});
+
+describe('filterWritableFields', () => {
+  it('keeps the fields the role may set', () => {
+    const body = { title: 'Backend Engineer', salary: { min: 50000, max: 70000 } };
+
+    expect(filterWritableFields('job:update', 'recruiter', body)).toEqual({ data: body, errors: [] });
+  });
+
+  it('rejects fields the role may not set, with a hint', () => {
+    const { data, errors } = filterWritableFields('job:update', 'recruiter', { title: 'Engineer', featured: true });
+
+    expect(data).toEqual({ title: 'Engineer' });
+    expect(errors).toEqual([{ field: 'featured', message: 'featured cannot be set: only admins can feature jobs' }]);
+  });
+
+  it('lets admins set fields recruiters cannot', () => {
+    expect(filterWritableFields('job:update', 'admin', { featured: true }).errors).toEqual([]);
+  });
+
+  it('rejects unknown fields, operators and dotted paths', () => {
+    const { data, errors } = filterWritableFields('job:update', 'admin', {
+      salery: 1,
+      $set: { featured: true },
+      'salary.min': 1
+    });
+
+    expect(data).toEqual({});
+    expect(errors.map(error => error.message)).toEqual([
+      'salery is not a valid field',
+      '$set is not a valid field',
+      'salary.min is not a valid field'
+    ]);
+  });
+
+  it('rejects unknown keys inside nested fields', () => {
+    const { errors } = filterWritableFields('job:create', 'recruiter', { salary: { min: 1, bonus: 5 } });
+
+    expect(errors).toEqual([{ field: 'salary.bonus', message: 'salary.bonus is not a valid field' }]);
+  });
+
+  it('allows nothing for roles without rules', () => {
+    const { data, errors } = filterWritableFields('user:update', 'recruiter', { firstName: 'Jane' });
+
+    expect(data).toEqual({});
+    expect(errors).toHaveLength(1);
+  });
+
+  it('does not let anyone set a requisition\'s status', () => {
+    const { errors } = filterWritableFields('requisition:create', 'admin', { title: 'Engineer', status: 'approved' });
+
+    expect(errors).toEqual([{ field: 'status', message: 'status cannot be set: use the approve, reject and cancel endpoints' }]);
+  });
+
+  it('treats a missing body as empty', () => {
+    expect(filterWritableFields('job:update', 'recruiter', undefined)).toEqual({ data: {}, errors: [] });
+  });
+
+  it('throws for resources without rules', () => {
+    expect(() => filterWritableFields('job:delete', 'admin', {})).toThrow('No field access rules defined for job:delete');
+  });
+});
+
+describe('sendFieldErrors', () => {
+  it('responds with 400 naming every rejected field', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    const errors = [{ field: 'a', message: 'a is not a valid field' }, { field: 'b', message: 'b cannot be set' }];
+
+    sendFieldErrors(res, errors);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: 'Request contains fields that cannot be set: a, b',
+      errors
+    });
+  });
+});
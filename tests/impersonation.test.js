@@ -0,0 +1,30 @@
+const { isBlockedWhileImpersonating } = require('../middleware/auth');
+
+const request = (method, originalUrl) => ({ method, originalUrl });
+
+describe('isBlockedWhileImpersonating', () => {
+  it.each([
+    ['POST', '/api/api-keys'],
+    ['PUT', '/api/auth/profile'],
+    ['DELETE', '/api/auth/sessions/123'],
+    ['PUT', '/api/companies/123/sso'],
+    ['POST', '/api/users/123/impersonate?reason=x']
+  ])('blocks %s %s', (method, path) => {
+    expect(isBlockedWhileImpersonating(request(method, path))).toBe(true);
+  });
+
+  it.each([
+    ['POST', '/api/API-keys'],
+    ['PUT', '/api/Auth/Profile'],
+    ['POST', '/api/Auth/invitations/abc/accept'],
+    ['POST', '/api/Data-Exports'],
+    ['PUT', '/api/Companies/123/SSO']
+  ])('blocks the mixed-case path %s %s', (method, path) => {
+    expect(isBlockedWhileImpersonating(request(method, path))).toBe(true);
+  });
+
+  it('allows reads and other changes', () => {
+    expect(isBlockedWhileImpersonating(request('GET', '/api/api-keys'))).toBe(false);
+    expect(isBlockedWhileImpersonating(request('POST', '/api/applications'))).toBe(false);
+  });
+});
@@ -0,0 +1,145 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const {
+  getPasswordPolicy,
+  checkPassword,
+  generateRandomPassword,
+  isRecentlyUsed,
+  validateNewPassword
+} = require('../utils/passwordPolicy');
+
+const ORIGINAL_ENV = process.env;
+
+const DEFAULT_POLICY = {
+  minLength: 8,
+  maxLength: 128,
+  requireLowercase: true,
+  requireUppercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  blockCommon: true,
+  historyCount: 5
+};
+
+beforeEach(() => {
+  process.env = { ...ORIGINAL_ENV };
+});
+
+afterAll(() => {
+  process.env = ORIGINAL_ENV;
+});
+
+describe('getPasswordPolicy', () => {
+  it('uses the defaults when nothing is configured', () => {
+    Object.keys(process.env)
+      .filter(name => name.startsWith('PASSWORD_'))
+      .forEach(name => delete process.env[name]);
+
+    expect(getPasswordPolicy()).toEqual(DEFAULT_POLICY);
+  });
+
+  it('reads overrides from the environment', () => {
+    process.env.PASSWORD_MIN_LENGTH = '12';
+    process.env.PASSWORD_REQUIRE_SYMBOL = 'true';
+    process.env.PASSWORD_REQUIRE_UPPERCASE = 'false';
+    process.env.PASSWORD_HISTORY_COUNT = '0';
+
+    expect(getPasswordPolicy()).toMatchObject({
+      minLength: 12,
+      requireSymbol: true,
+      requireUppercase: false,
+      historyCount: 0
+    });
+  });
+});
+
+describe('checkPassword', () => {
+  it('accepts a password that meets every rule', () => {
+    expect(checkPassword('Tangerine-Ocelot7', DEFAULT_POLICY)).toEqual([]);
+  });
+
+  it('requires a password', () => {
+    expect(checkPassword('', DEFAULT_POLICY)).toEqual(['Password is required']);
+    expect(checkPassword(undefined, DEFAULT_POLICY)).toEqual(['Password is required']);
+  });
+
+  it('reports every broken rule', () => {
+    expect(checkPassword('abc', DEFAULT_POLICY)).toEqual([
+      'Password must be at least 8 characters long',
+      'Password must contain at least one uppercase letter',
+      'Password must contain at least one number'
+    ]);
+  });
+
+  it('enforces the maximum length', () => {
+    const policy = { ...DEFAULT_POLICY, maxLength: 10 };
+    expect(checkPassword('Tangerine-Ocelot7', policy)).toContain('Password cannot exceed 10 characters');
+  });
+
+  it('requires a symbol when configured', () => {
+    const policy = { ...DEFAULT_POLICY, requireSymbol: true };
+    expect(checkPassword('TangerineOcelot7', policy)).toContain('Password must contain at least one symbol');
+  });
+
+  it('blocks common passwords, also with a suffix of digits and symbols', () => {
+    const message = 'This password is too common, please choose a less predictable one';
+
+    expect(checkPassword('Password1', DEFAULT_POLICY)).toContain(message);
+    expect(checkPassword('Summer2024!', DEFAULT_POLICY)).toContain(message);
+    expect(checkPassword('Summer2024!', { ...DEFAULT_POLICY, blockCommon: false })).toEqual([]);
+  });
+});
+
+describe('generateRandomPassword', () => {
+  it.each([
+    ['the default policy', DEFAULT_POLICY],
+    ['a required symbol', { ...DEFAULT_POLICY, requireSymbol: true }],
+    ['a long minimum length', { ...DEFAULT_POLICY, minLength: 64 }],
+    ['a short maximum length', { ...DEFAULT_POLICY, maxLength: 12 }]
+  ])('meets %s', (name, policy) => {
+    expect(checkPassword(generateRandomPassword(policy), policy)).toEqual([]);
+  });
+
+  it('passes the user model\'s check under the configured policy', async () => {
+    process.env.PASSWORD_REQUIRE_SYMBOL = 'true';
+    process.env.PASSWORD_MIN_LENGTH = '60';
+    const user = new User({ firstName: 'Jane', lastName: 'Doe', email: 'jane@acme.com', password: generateRandomPassword() });
+
+    await expect(user.validate()).resolves.toBeUndefined();
+  });
+});
+
+describe('password history', () => {
+  const hash = (password) => bcrypt.hash(password, 4);
+  let user;
+
+  beforeAll(async () => {
+    user = {
+      password: await hash('Current-Pass1'),
+      passwordHistory: [await hash('Older-Pass1'), await hash('Oldest-Pass1')]
+    };
+  });
+
+  it('matches the current and previous passwords', async () => {
+    await expect(isRecentlyUsed(user, 'Current-Pass1', DEFAULT_POLICY)).resolves.toBe(true);
+    await expect(isRecentlyUsed(user, 'Oldest-Pass1', DEFAULT_POLICY)).resolves.toBe(true);
+    await expect(isRecentlyUsed(user, 'Brand-New-Pass1', DEFAULT_POLICY)).resolves.toBe(false);
+  });
+
+  it('only looks back historyCount passwords', async () => {
+    const policy = { ...DEFAULT_POLICY, historyCount: 2 };
+
+    await expect(isRecentlyUsed(user, 'Older-Pass1', policy)).resolves.toBe(true);
+    await expect(isRecentlyUsed(user, 'Oldest-Pass1', policy)).resolves.toBe(false);
+    await expect(isRecentlyUsed(user, 'Current-Pass1', { ...policy, historyCount: 0 })).resolves.toBe(false);
+  });
+
+  it('rejects reuse in validateNewPassword', async () => {
+    process.env.PASSWORD_HISTORY_COUNT = '3';
+
+    await expect(validateNewPassword(user, 'Older-Pass1')).resolves.toEqual([
+      'Password cannot be one of your last 3 passwords'
+    ]);
+    await expect(validateNewPassword(user, 'Brand-New-Pass1')).resolves.toEqual([]);
+  });
+});
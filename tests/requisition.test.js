@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Requisition = require('../models/Requisition');
+const { buildApprovalSteps } = require('../utils/requisitions');
+
+const buildUser = (permissions = []) => ({
+  _id: new mongoose.Types.ObjectId(),
+  hasPermission: permission => permissions.includes(permission)
+});
+
+const requester = buildUser();
+const financeApprover = buildUser();
+const headOfEngineering = buildUser();
+const admin = buildUser(['manage_jobs']);
+
+const buildRequisition = () => new Requisition({
+  number: Requisition.generateNumber(),
+  title: 'Backend Engineer',
+  salaryBand: { min: 60000, max: 80000, currency: 'EUR', period: 'yearly' },
+  requestedBy: requester._id,
+  approvalSteps: buildApprovalSteps({
+    requisitionApprovalChain: [
+      { name: 'Finance', approvers: [financeApprover._id, requester._id] },
+      { name: 'Engineering', approvers: [headOfEngineering._id] }
+    ]
+  })
+});
+
+describe('checkSalary', () => {
+  const requisition = buildRequisition();
+
+  it('accepts salaries within the band', () => {
+    expect(requisition.checkSalary({ min: 60000, max: 80000, currency: 'EUR', period: 'yearly' })).toEqual([]);
+    expect(requisition.checkSalary({ min: 65000 })).toEqual([]);
+    expect(requisition.checkSalary({ min: null, max: null })).toEqual([]);
+    expect(requisition.checkSalary()).toEqual([]);
+  });
+
+  it('reports every way a salary leaves the band', () => {
+    expect(requisition.checkSalary({ min: 50000, max: 90000, currency: 'USD', period: 'monthly' })).toEqual([
+      'Salary currency must be EUR',
+      'Salary period must be yearly',
+      'Minimum salary cannot be below the requisition\'s band of 60000',
+      'Maximum salary cannot exceed the requisition\'s band of 80000'
+    ]);
+  });
+
+  it('rejects a band whose minimum exceeds its maximum', async () => {
+    const invalid = buildRequisition();
+    invalid.salaryBand.min = 90000;
+
+    const error = await invalid.validate().catch(validationError => validationError);
+
+    expect(error.errors['salaryBand.max'].message).toBe('Maximum salary must be greater than or equal to minimum salary');
+  });
+});
+
+describe('buildApprovalSteps', () => {
+  it('copies the company chain and starts the first step', () => {
+    const steps = buildRequisition().approvalSteps;
+
+    expect(steps.map(step => [step.name, step.status])).toEqual([['Finance', 'pending'], ['Engineering', 'waiting']]);
+  });
+
+  it('falls back to admin approval', () => {
+    const fallback = [{ name: 'Admin approval', approvers: [], status: 'pending' }];
+
+    expect(buildApprovalSteps(null)).toEqual(fallback);
+    expect(buildApprovalSteps({ requisitionApprovalChain: [] })).toEqual(fallback);
+  });
+});
+
+describe('approval decisions', () => {
+  let requisition;
+
+  beforeEach(() => {
+    requisition = buildRequisition();
+  });
+
+  it('only lets the current step\'s approvers and admins decide', () => {
+    expect(requisition.canDecide(financeApprover)).toBe(true);
+    expect(requisition.canDecide(headOfEngineering)).toBe(false);
+    expect(requisition.canDecide(admin)).toBe(true);
+  });
+
+  it('never lets requesters approve their own requisition', () => {
+    expect(requisition.canDecide(requester)).toBe(false);
+  });
+
+  it('moves through the steps and approves after the last one', () => {
+    const next = requisition.decide(financeApprover, true, 'Budgeted');
+
+    expect(next.name).toBe('Engineering');
+    expect(requisition.status).toBe('pending');
+    expect(requisition.approvalSteps[0]).toMatchObject({ status: 'approved', decidedBy: financeApprover._id, comment: 'Budgeted' });
+    expect(requisition.canDecide(headOfEngineering)).toBe(true);
+
+    expect(requisition.decide(headOfEngineering, true)).toBeNull();
+    expect(requisition.status).toBe('approved');
+    expect(requisition.decidedAt).toBeInstanceOf(Date);
+    expect(requisition.currentStep).toBeNull();
+    expect(requisition.canDecide(admin)).toBe(false);
+  });
+
+  it('rejects the requisition and skips the remaining steps', () => {
+    expect(requisition.decide(financeApprover, false, 'No budget')).toBeNull();
+
+    expect(requisition.status).toBe('rejected');
+    expect(requisition.approvalSteps.map(step => step.status)).toEqual(['rejected', 'skipped']);
+  });
+});
+
+describe('generateNumber', () => {
+  it('includes the day and a random suffix', () => {
+    const date = new Date('2025-01-02T10:00:00.000Z');
+
+    expect(Requisition.generateNumber(date)).toMatch(/^REQ-20250102-[0-9A-F]{6}$/);
+    expect(Requisition.generateNumber(date)).not.toBe(Requisition.generateNumber(date));
+  });
+});
@@ -0,0 +1,157 @@
+const Job = require('../models/Job');
+const { evaluateScreeningAnswers, hideKnockoutCriteria } = require('../utils/screening');
+
+const buildJob = () => new Job({
+  title: 'Backend Engineer',
+  screeningQuestions: [
+    { question: 'Do you have an EU work permit?', type: 'yes_no', required: true, knockout: { answer: true } },
+    { question: 'Why this role?', type: 'text' },
+    { question: 'Seniority?', type: 'single_choice', options: ['Junior', 'Senior'], knockout: { acceptedOptions: ['Senior'] } },
+    { question: 'Languages?', type: 'multiple_choice', options: ['Go', 'Node', 'Rust'], knockout: { acceptedOptions: ['Node'] } },
+    { question: 'Years of experience?', type: 'number', knockout: { min: 3, max: 10 } }
+  ]
+});
+
+const validAnswers = (questions) => ({
+  [questions[0]._id]: 'yes',
+  [questions[1]._id]: '  I like the product  ',
+  [questions[2]._id]: 'Senior',
+  [questions[3]._id]: ['Node', 'Go', 'Node'],
+  [questions[4]._id]: '5'
+});
+
+describe('evaluateScreeningAnswers', () => {
+  let questions;
+
+  beforeEach(() => {
+    questions = buildJob().screeningQuestions;
+  });
+
+  it('normalizes valid answers to the question types', () => {
+    const { answers, errors, knockedOutBy } = evaluateScreeningAnswers(questions, validAnswers(questions));
+
+    expect(errors).toEqual([]);
+    expect(knockedOutBy).toEqual([]);
+    expect(answers.map(answer => answer.answer)).toEqual([true, 'I like the product', 'Senior', ['Node', 'Go'], 5]);
+    expect(answers[0]).toMatchObject({ questionId: questions[0]._id, type: 'yes_no', required: true });
+  });
+
+  it('accepts the list format as JSON text', () => {
+    const list = Object.entries(validAnswers(questions)).map(([questionId, answer]) => ({ questionId, answer }));
+
+    expect(evaluateScreeningAnswers(questions, JSON.stringify(list)).errors).toEqual([]);
+  });
+
+  it('reports malformed JSON', () => {
+    expect(evaluateScreeningAnswers(questions, '{not json').errors).toEqual([
+      { field: 'customAnswers', message: 'Answers must be valid JSON', value: '{not json' }
+    ]);
+  });
+
+  it('reports unknown questions and invalid answers', () => {
+    const answers = {
+      ...validAnswers(questions),
+      [questions[0]._id]: 'maybe',
+      [questions[2]._id]: 'Principal',
+      [questions[4]._id]: 'five',
+      unknown: 'x'
+    };
+
+    const { errors } = evaluateScreeningAnswers(questions, answers);
+
+    expect(errors.map(error => [error.field, error.message])).toEqual([
+      ['customAnswers.unknown', 'Unknown screening question'],
+      [`customAnswers.${questions[0]._id}`, 'Answer must be yes or no'],
+      [`customAnswers.${questions[2]._id}`, 'Answer must be one of: Junior, Senior'],
+      [`customAnswers.${questions[4]._id}`, 'Answer must be a number']
+    ]);
+  });
+
+  it('requires answers to required questions only', () => {
+    const answers = validAnswers(questions);
+    delete answers[questions[1]._id];
+    delete answers[questions[0]._id];
+
+    const { errors } = evaluateScreeningAnswers(questions, answers);
+
+    expect(errors.map(error => error.message)).toEqual(['An answer to "Do you have an EU work permit?" is required']);
+  });
+
+  it('treats whitespace-only text as no answer', () => {
+    questions[1].required = true;
+
+    const { answers, errors } = evaluateScreeningAnswers(questions, {
+      ...validAnswers(questions),
+      [questions[1]._id]: ' \n\t '
+    });
+
+    expect(errors.map(error => error.message)).toEqual(['An answer to "Why this role?" is required']);
+    expect(answers.map(answer => answer.question)).not.toContain('Why this role?');
+  });
+
+  it('leaves out whitespace-only answers to optional questions', () => {
+    const { answers, errors } = evaluateScreeningAnswers(questions, {
+      ...validAnswers(questions),
+      [questions[1]._id]: '   '
+    });
+
+    expect(errors).toEqual([]);
+    expect(answers).toHaveLength(4);
+  });
+
+  it('requires answers to knockout questions even when not marked required', () => {
+    questions[4].required = false;
+    const answers = validAnswers(questions);
+    delete answers[questions[4]._id];
+
+    const { errors, knockedOutBy } = evaluateScreeningAnswers(questions, answers);
+
+    expect(errors.map(error => error.message)).toEqual(['An answer to "Years of experience?" is required']);
+    expect(knockedOutBy).toEqual([]);
+  });
+
+  it.each([
+    [0, 'no'],
+    [2, 'Junior'],
+    [3, ['Go', 'Rust']],
+    [4, 2],
+    [4, 11]
+  ])('knocks out question %i for the answer %j', (index, answer) => {
+    const { errors, knockedOutBy } = evaluateScreeningAnswers(questions, {
+      ...validAnswers(questions),
+      [questions[index]._id]: answer
+    });
+
+    expect(errors).toEqual([]);
+    expect(knockedOutBy).toEqual([questions[index]]);
+  });
+});
+
+describe('screening questions on jobs', () => {
+  it('makes knockout questions required when the job is validated', async () => {
+    const job = buildJob();
+    await job.validate().catch(() => {});
+
+    expect(job.screeningQuestions.map(question => question.required)).toEqual([true, false, true, true, true]);
+  });
+
+  it('rejects knockout criteria that do not fit the question', async () => {
+    const job = new Job({
+      screeningQuestions: [{ question: 'Why?', type: 'text', knockout: { answer: true } }]
+    });
+
+    const error = await job.validate().catch(validationError => validationError);
+
+    expect(error.errors['screeningQuestions.0.knockout.answer'].message)
+      .toBe('A knockout answer is only allowed on yes/no questions');
+  });
+});
+
+describe('hideKnockoutCriteria', () => {
+  it('removes knockout criteria but keeps the questions', () => {
+    const data = hideKnockoutCriteria(buildJob());
+
+    expect(data.screeningQuestions).toHaveLength(5);
+    data.screeningQuestions.forEach(question => expect(question).not.toHaveProperty('knockout'));
+  });
+});
@@ -0,0 +1,129 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../utils/totp');
+
+// RFC 6238 appendix B secret for HMAC-SHA1 ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('encodes and decodes RFC 4648 test vectors', () => {
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(base32Decode('MZXW6YTBOI').toString()).toBe('foobar');
+  });
+
+  it('ignores case, spaces and padding when decoding', () => {
+    expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+  });
+
+  it('generates 160 bit secrets', () => {
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('generateTotp', () => {
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+});
+
+describe('verifyTotp', () => {
+  const timestamp = 1111111109 * 1000;
+  const step = Math.floor(1111111109 / 30);
+
+  it('returns the matching time step', () => {
+    expect(verifyTotp(RFC_SECRET, '081804', { timestamp })).toBe(step);
+  });
+
+  it('accepts codes with spaces', () => {
+    expect(verifyTotp(RFC_SECRET, '081 804', { timestamp })).toBe(step);
+  });
+
+  it('allows one step of clock drift by default', () => {
+    expect(verifyTotp(RFC_SECRET, '081804', { timestamp: timestamp + 30 * 1000 })).toBe(step);
+    expect(verifyTotp(RFC_SECRET, '081804', { timestamp: timestamp + 60 * 1000 })).toBeNull();
+  });
+
+  it('rejects wrong and malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '000000', { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '81804', { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined, { timestamp })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('includes the label, secret and code settings', () => {
+    const uri = buildOtpauthUri({ secret: 'ABC', accountName: 'jane@acme.test', issuer: 'Recruit' });
+
+    expect(uri.startsWith('otpauth://totp/Recruit%3Ajane%40acme.test?')).toBe(true);
+    const params = new URL(uri).searchParams;
+    expect(params.get('secret')).toBe('ABC');
+    expect(params.get('issuer')).toBe('Recruit');
+    expect(params.get('digits')).toBe('6');
+    expect(params.get('period')).toBe('30');
+  });
+});
+
+describe('secret encryption', () => {
+  const originalKey = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+
+  beforeEach(() => {
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-key';
+  });
+
+  afterEach(() => {
+    if (originalKey === undefined) {
+      delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    } else {
+      process.env.TWO_FACTOR_ENCRYPTION_KEY = originalKey;
+    }
+  });
+
+  it('round-trips a secret with a fresh IV each time', () => {
+    const first = encryptSecret('JBSWY3DPEHPK3PXP');
+    const second = encryptSecret('JBSWY3DPEHPK3PXP');
+
+    expect(first).not.toBe(second);
+    expect(decryptSecret(first)).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  it('fails to decrypt with another key', () => {
+    const payload = encryptSecret('JBSWY3DPEHPK3PXP');
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'other-key';
+
+    expect(() => decryptSecret(payload)).toThrow();
+  });
+});
+
+describe('recovery codes', () => {
+  it('generates unique xxxx-xxxx codes', () => {
+    const codes = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[a-f0-9]{4}-[a-f0-9]{4}$/));
+  });
+
+  it('normalizes user input', () => {
+    expect(normalizeRecoveryCode(' AB12-cd34 ')).toBe('ab12cd34');
+    expect(normalizeRecoveryCode(undefined)).toBe('');
+  });
+});
@@ -0,0 +1,21 @@
+const AuditLog = require('../models/AuditLog');
+
+// Record an audit entry. Failures are logged but never break the request
+// that triggered them.
+const recordAudit = async ({ action, req = null, actor, targetUser = null, metadata = {} }) => {
+  try {
+    return await AuditLog.create({
+      action,
+      actor: actor !== undefined ? actor : (req && req.user ? req.user._id : null),
+      targetUser,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('user-agent') : undefined,
+      metadata
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+module.exports = recordAudit;
@@ -0,0 +1,32 @@
+// Build CSV text from rows and column definitions: [{ header, value: row => ... }]
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  toCsv
+};
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Application = require('../models/Application');
+const Interview = require('../models/Interview');
+const sendEmail = require('./sendEmail');
+const { dataExportReadyEmail } = require('./emailTemplates');
+const { generateToken, hashToken } = require('./tokens');
+
+// Archives are kept outside `uploads`, which is served statically
+const getExportDir = () => {
+  return path.resolve(process.env.DATA_EXPORT_DIR || path.join(__dirname, '../tmp/exports'));
+};
+
+const getLinkLifetimeHours = () => parseInt(process.env.DATA_EXPORT_LINK_HOURS) || 24;
+
+// Fields that are credentials or internal state rather than personal data
+const USER_SECRET_FIELDS = [
+  'password',
+  'resetPasswordToken',
+  'resetPasswordExpire',
+  'emailVerificationToken',
+  'emailVerificationExpire',
+  'magicLinkToken',
+  'magicLinkExpire',
+  'magicLinkDevice',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastUsedStep',
+  'twoFactorChallengeId',
+  '__v'
+];
+
+// Resumes are stored with an absolute path that may not survive a
+// redeploy, so fall back to the upload directory
+const resolveResumePath = (resume) => {
+  if (!resume) return null;
+
+  const storedPath = typeof resume === 'string' ? resume : resume.path;
+  const filename = typeof resume === 'string' ? path.basename(resume) : resume.filename;
+
+  const candidates = [
+    storedPath,
+    storedPath && path.join(__dirname, '..', storedPath.replace(/^\/+/, '')),
+    filename && path.join(__dirname, '..', 'uploads', 'resumes', filename),
+    filename && path.join(process.cwd(), 'uploads', 'resumes', filename)
+  ].filter(Boolean);
+
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+};
+
+const formatUser = (user) => {
+  const data = user.toObject({ virtuals: true });
+  USER_SECRET_FIELDS.forEach(field => delete data[field]);
+  delete data.id;
+  return data;
+};
+
+// Private recruiter notes and the recruiter's written rating feedback are
+// internal to the hiring team and left out
+const formatApplication = (application) => {
+  const data = application.toObject();
+  data.notes = (data.notes || []).filter(note => !note.isPrivate);
+  if (data.rating) delete data.rating.feedback;
+  delete data.__v;
+  return data;
+};
+
+const formatInterview = (interview) => {
+  const data = interview.toObject();
+  data.noteHistory = (data.noteHistory || []).filter(note => !note.isPrivate);
+  delete data.notes;
+  delete data.__v;
+
+  // Interviewers' written assessments are internal, like application rating feedback
+  (data.questions || []).forEach(question => { delete question.notes; });
+  Object.values(data.feedback || {}).forEach(area => {
+    if (area) delete area.comments;
+  });
+  if (data.feedback && data.feedback.overall) delete data.feedback.overall.recommendation;
+
+  return data;
+};
+
+const buildReadme = (user, generatedAt, resumeCount) => [
+  `Personal data export for ${user.firstName} ${user.lastName} <${user.email}>`,
+  `Generated: ${generatedAt.toISOString()}`,
+  '',
+  'user.json          Your account and profile',
+  'applications.json  Your job applications, including parsed resume data and status history',
+  'interviews.json    Interviews scheduled for your applications',
+  `resumes/           Resume files you uploaded (${resumeCount})`,
+  '',
+  'Notes the hiring team marked as private and interviewers\' comments and recommendations are not included.'
+].join('\n');
+
+// Write the archive for a user, resolving with its path and size
+const writeArchive = async (dataExport, user) => {
+  const applications = await Application.find({ applicant: user._id })
+    .populate('job', 'title company location')
+    .sort({ createdAt: 1 });
+
+  const interviews = await Interview.find({ applicant: user._id })
+    .populate('job', 'title company')
+    .populate('interviewer', 'firstName lastName')
+    .sort({ scheduledDate: 1 });
+
+  const exportDir = getExportDir();
+  fs.mkdirSync(exportDir, { recursive: true });
+  const filePath = path.join(exportDir, `export-${dataExport._id}.zip`);
+
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  const generatedAt = new Date();
+  archive.append(JSON.stringify(formatUser(user), null, 2), { name: 'user.json' });
+  archive.append(JSON.stringify(applications.map(formatApplication), null, 2), { name: 'applications.json' });
+  archive.append(JSON.stringify(interviews.map(formatInterview), null, 2), { name: 'interviews.json' });
+
+  // Profile resume plus the one attached to each application
+  const resumes = [
+    { source: user.resume, name: `profile${path.extname(user.resume || '')}` },
+    ...applications.map(application => ({
+      source: application.resume,
+      name: `application-${application._id}${path.extname((application.resume && application.resume.originalName) || '')}`
+    }))
+  ];
+
+  let resumeCount = 0;
+  resumes.forEach(({ source, name }) => {
+    const resumePath = resolveResumePath(source);
+    if (resumePath) {
+      archive.file(resumePath, { name: `resumes/${name}` });
+      resumeCount++;
+    }
+  });
+
+  archive.append(buildReadme(user, generatedAt, resumeCount), { name: 'README.txt' });
+
+  await archive.finalize();
+  await finished;
+
+  return { filePath, fileSize: fs.statSync(filePath).size };
+};
+
+// Build a queued export. Only one worker can claim it, so it is safe to
+// call from several places.
+const processDataExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'queued' },
+    { status: 'processing', startedAt: new Date() },
+    { new: true }
+  );
+  if (!dataExport) return null;
+
+  try {
+    const user = await User.findById(dataExport.user);
+    if (!user) {
+      throw new Error('User no longer exists');
+    }
+
+    const { filePath, fileSize } = await writeArchive(dataExport, user);
+
+    const downloadToken = generateToken();
+    const expiresInHours = getLinkLifetimeHours();
+
+    dataExport.status = 'completed';
+    dataExport.filePath = filePath;
+    dataExport.fileSize = fileSize;
+    dataExport.downloadTokenHash = hashToken(downloadToken);
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+    await dataExport.save();
+
+    try {
+      await sendEmail({
+        to: user.email,
+        ...dataExportReadyEmail(user, dataExport._id, downloadToken, expiresInHours)
+      });
+    } catch (error) {
+      console.error('Data export email error:', error);
+    }
+
+    return dataExport;
+  } catch (error) {
+    console.error('Data export error:', error);
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    await dataExport.save();
+    return dataExport;
+  }
+};
+
+// Delete archives whose download link has expired
+const cleanupExpiredExports = async () => {
+  const expired = await DataExport.find({
+    status: 'completed',
+    expiresAt: { $lte: new Date() }
+  }).select('+filePath');
+
+  for (const dataExport of expired) {
+    if (dataExport.filePath && fs.existsSync(dataExport.filePath)) {
+      fs.unlinkSync(dataExport.filePath);
+    }
+    dataExport.status = 'expired';
+    dataExport.filePath = null;
+    dataExport.downloadTokenHash = null;
+    await dataExport.save();
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  processDataExport,
+  cleanupExpiredExports,
+  resolveResumePath
+};
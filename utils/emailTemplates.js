@@ -0,0 +1,342 @@
+// Build a link into the frontend application
+const frontendUrl = (pathname) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}${pathname}`;
+};
+
+// Escape user-provided values before placing them in HTML
+const escapeHtml = (value) => {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Password reset email
+const passwordResetEmail = (user, resetToken, expiresInMinutes) => {
+  const resetUrl = frontendUrl(`/reset-password/${resetToken}`);
+
+  return {
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'We received a request to reset the password for your account.',
+      `Open the link below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.`,
+      '',
+      resetUrl,
+      '',
+      'If you did not request this, you can ignore this email. Your password will not change.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>We received a request to reset the password for your account.</p>
+      <p>
+        <a href="${resetUrl}">Choose a new password</a>.
+        This link expires in ${expiresInMinutes} minutes and can only be used once.
+      </p>
+      <p>If you did not request this, you can ignore this email. Your password will not change.</p>
+    `
+  };
+};
+
+// Passwordless sign-in email
+const magicLinkEmail = (user, magicToken, expiresInMinutes) => {
+  const signInUrl = frontendUrl(`/magic-link/${magicToken}`);
+
+  return {
+    subject: 'Your sign-in link',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `Open the link below to sign in. It expires in ${expiresInMinutes} minutes, can only be used once`,
+      'and only works in the browser where you requested it.',
+      '',
+      signInUrl,
+      '',
+      'If you did not request this, you can ignore this email.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>
+        <a href="${signInUrl}">Sign in</a>.
+        This link expires in ${expiresInMinutes} minutes, can only be used once,
+        and only works in the browser where you requested it.
+      </p>
+      <p>If you did not request this, you can ignore this email.</p>
+    `
+  };
+};
+
+// Email address verification email
+const emailVerificationEmail = (user, verificationToken, expiresInHours) => {
+  const verifyUrl = frontendUrl(`/verify-email/${verificationToken}`);
+
+  return {
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Please confirm that this is your email address by opening the link below.',
+      `The link expires in ${expiresInHours} hours.`,
+      '',
+      verifyUrl,
+      '',
+      'If you did not create an account, you can ignore this email.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Please confirm that this is your email address.</p>
+      <p>
+        <a href="${verifyUrl}">Verify email address</a>.
+        This link expires in ${expiresInHours} hours.
+      </p>
+      <p>If you did not create an account, you can ignore this email.</p>
+    `
+  };
+};
+
+// Recruiter team invitation email
+const teamInvitationEmail = (inviter, company, invitationToken, expiresInDays) => {
+  const acceptUrl = frontendUrl(`/invitations/${invitationToken}`);
+  const inviterName = `${inviter.firstName} ${inviter.lastName}`;
+
+  return {
+    subject: `Join ${company.name} on the recruiting team`,
+    text: [
+      'Hi,',
+      '',
+      `${inviterName} invited you to join the ${company.name} recruiting team.`,
+      `Open the link below to create your account or join with your existing one. It expires in ${expiresInDays} days.`,
+      '',
+      acceptUrl,
+      '',
+      'If you were not expecting this invitation, you can ignore this email.'
+    ].join('\n'),
+    html: `
+      <p>Hi,</p>
+      <p>${escapeHtml(inviterName)} invited you to join the ${escapeHtml(company.name)} recruiting team.</p>
+      <p>
+        <a href="${acceptUrl}">Accept invitation</a>.
+        This link expires in ${expiresInDays} days.
+      </p>
+      <p>If you were not expecting this invitation, you can ignore this email.</p>
+    `
+  };
+};
+
+// Recruiter account approved email
+const recruiterApprovedEmail = (user) => {
+  const dashboardUrl = frontendUrl('/dashboard');
+
+  return {
+    subject: 'Your recruiter account has been approved',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Your recruiter account has been approved. You can now post jobs and review applications.',
+      '',
+      dashboardUrl
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Your recruiter account has been approved. You can now post jobs and review applications.</p>
+      <p><a href="${dashboardUrl}">Go to your dashboard</a></p>
+    `
+  };
+};
+
+// Recruiter account rejected email
+const recruiterRejectedEmail = (user, reason) => {
+  return {
+    subject: 'Your recruiter account application',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'We could not approve your recruiter account.',
+      '',
+      `Reason: ${reason}`,
+      '',
+      'If you think this is a mistake, please reply to this email.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>We could not approve your recruiter account.</p>
+      <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+      <p>If you think this is a mistake, please reply to this email.</p>
+    `
+  };
+};
+
+// Personal data export ready email
+const dataExportReadyEmail = (user, exportId, downloadToken, expiresInHours) => {
+  const downloadUrl = frontendUrl(`/account/data-exports/${exportId}?token=${downloadToken}`);
+
+  return {
+    subject: 'Your data export is ready',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'The copy of your personal data you asked for is ready to download:',
+      '',
+      downloadUrl,
+      '',
+      `This link expires in ${expiresInHours} hours.`
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>The copy of your personal data you asked for is ready to download.</p>
+      <p><a href="${downloadUrl}">Download your data</a></p>
+      <p>This link expires in ${expiresInHours} hours.</p>
+    `
+  };
+};
+
+// Job application deadline approaching email
+const jobDeadlineReminderEmail = (user, job) => {
+  const jobUrl = frontendUrl(`/jobs/${job._id}`);
+  const deadline = job.applicationDeadline.toUTCString();
+
+  return {
+    subject: `Applications for "${job.title}" close soon`,
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `Applications for "${job.title}" close on ${deadline}. The job will be closed automatically at that time.`,
+      '',
+      'To keep it open, extend the application deadline:',
+      '',
+      jobUrl
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Applications for <strong>${escapeHtml(job.title)}</strong> close on ${deadline}. The job will be closed automatically at that time.</p>
+      <p>To keep it open, <a href="${jobUrl}">extend the application deadline</a>.</p>
+    `
+  };
+};
+
+// Job posting approved email
+const jobApprovedEmail = (user, job, note) => {
+  const jobUrl = frontendUrl(`/jobs/${job._id}`);
+  const outcome = job.status === 'active'
+    ? 'It is now live.'
+    : `It will go live on ${job.publishAt.toUTCString()}.`;
+
+  return {
+    subject: `Your job posting "${job.title}" was approved`,
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `Your job posting "${job.title}" was approved. ${outcome}`,
+      ...(note ? ['', `Note from the reviewer: ${note}`] : []),
+      '',
+      jobUrl
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Your job posting <strong>${escapeHtml(job.title)}</strong> was approved. ${outcome}</p>
+      ${note ? `<p><strong>Note from the reviewer:</strong> ${escapeHtml(note)}</p>` : ''}
+      <p><a href="${jobUrl}">View the job</a></p>
+    `
+  };
+};
+
+// Job posting rejected email
+const jobRejectedEmail = (user, job, reason) => {
+  const jobUrl = frontendUrl(`/jobs/${job._id}`);
+
+  return {
+    subject: `Your job posting "${job.title}" needs changes`,
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `Your job posting "${job.title}" was not approved and has been moved back to drafts.`,
+      '',
+      `Reason: ${reason}`,
+      '',
+      'Once it is updated, set it to active again to resubmit it for review:',
+      '',
+      jobUrl
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Your job posting <strong>${escapeHtml(job.title)}</strong> was not approved and has been moved back to drafts.</p>
+      <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+      <p>Once it is updated, set it to active again to <a href="${jobUrl}">resubmit it for review</a>.</p>
+    `
+  };
+};
+
+// Requisition waiting for an approver's decision email
+const requisitionApprovalRequestEmail = (user, requisition, step) => {
+  const requisitionUrl = frontendUrl(`/requisitions/${requisition._id}`);
+  const band = requisition.salaryBand;
+  const budget = `${band.currency} ${band.min} - ${band.max} per ${band.period}`;
+
+  return {
+    subject: `Requisition ${requisition.number} needs your approval`,
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `Requisition ${requisition.number}, "${requisition.title}", is waiting for your decision (${step.name}).`,
+      '',
+      `Headcount: ${requisition.headcount}`,
+      `Salary band: ${budget}`,
+      '',
+      requisitionUrl
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Requisition ${escapeHtml(requisition.number)}, <strong>${escapeHtml(requisition.title)}</strong>, is waiting for your decision (${escapeHtml(step.name)}).</p>
+      <p>Headcount: ${requisition.headcount}<br>Salary band: ${escapeHtml(budget)}</p>
+      <p><a href="${requisitionUrl}">Review the requisition</a></p>
+    `
+  };
+};
+
+// Requisition approved or rejected email
+const requisitionDecisionEmail = (user, requisition, comment) => {
+  const requisitionUrl = frontendUrl(`/requisitions/${requisition._id}`);
+  const approved = requisition.status === 'approved';
+  const outcome = approved
+    ? 'was approved. Jobs linked to it can now be activated.'
+    : 'was rejected.';
+
+  return {
+    subject: `Requisition ${requisition.number} was ${approved ? 'approved' : 'rejected'}`,
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `Your requisition ${requisition.number}, "${requisition.title}", ${outcome}`,
+      ...(comment ? ['', `Comment: ${comment}`] : []),
+      '',
+      requisitionUrl
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Your requisition ${escapeHtml(requisition.number)}, <strong>${escapeHtml(requisition.title)}</strong>, ${outcome}</p>
+      ${comment ? `<p><strong>Comment:</strong> ${escapeHtml(comment)}</p>` : ''}
+      <p><a href="${requisitionUrl}">View the requisition</a></p>
+    `
+  };
+};
+
+module.exports = {
+  frontendUrl,
+  escapeHtml,
+  passwordResetEmail,
+  magicLinkEmail,
+  emailVerificationEmail,
+  teamInvitationEmail,
+  recruiterApprovedEmail,
+  recruiterRejectedEmail,
+  dataExportReadyEmail,
+  jobDeadlineReminderEmail,
+  jobApprovedEmail,
+  jobRejectedEmail,
+  requisitionApprovalRequestEmail,
+  requisitionDecisionEmail
+};
@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const Application = require('../models/Application');
+const Interview = require('../models/Interview');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Invitation = require('../models/Invitation');
+const LoginThrottle = require('../models/LoginThrottle');
+const DataExport = require('../models/DataExport');
+const AuditLog = require('../models/AuditLog');
+const ErasureCertificate = require('../models/ErasureCertificate');
+const { generateToken } = require('./tokens');
+const { resolveResumePath } = require('./dataExport');
+const { deleteFile } = require('./fileUpload');
+
+const REDACTED = '[redacted]';
+
+// Resume sections that describe the person. Skills and languages are kept
+// because they feed aggregate statistics and identify no one on their own.
+const PERSONAL_RESUME_SECTIONS = ['personalInfo', 'summary', 'experience', 'education', 'certifications', 'projects'];
+
+// Secrets and one-time tokens, cleared without being counted
+const USER_SECRET_FIELDS = [
+  'passwordHistory',
+  'resetPasswordToken',
+  'resetPasswordExpire',
+  'emailVerificationToken',
+  'emailVerificationExpire',
+  'magicLinkToken',
+  'magicLinkExpire',
+  'magicLinkDevice',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastUsedStep',
+  'twoFactorChallengeId'
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Match any of the user's names, emails or phone numbers inside free text,
+// including the ones they typed into their resumes
+const buildIdentifierPattern = (user, applications) => {
+  const terms = new Set();
+  const add = (value) => {
+    const term = String(value || '').trim();
+    if (term.length >= 2) terms.add(term);
+  };
+
+  [user.email, user.phone, `${user.firstName} ${user.lastName}`, user.firstName, user.lastName].forEach(add);
+  applications.forEach(application => {
+    const info = application.parsedResumeData && application.parsedResumeData.personalInfo;
+    if (!info) return;
+    [info.name, info.email, info.phone, info.address, info.linkedIn, info.portfolio].forEach(add);
+  });
+
+  if (terms.size === 0) return null;
+
+  // Longest first so a full name is redacted before its parts
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return new RegExp(`(?<![\\w@.])(${alternatives.join('|')})(?![\\w@])`, 'gi');
+};
+
+const scrubText = (text, pattern) => {
+  if (!text || !pattern) return text;
+  return text.replace(pattern, REDACTED);
+};
+
+// Scrub a string path on a document, returning 1 if it changed
+const scrubPath = (doc, pathName, pattern) => {
+  const value = doc.get(pathName);
+  if (typeof value !== 'string') return 0;
+
+  const scrubbed = scrubText(value, pattern);
+  if (scrubbed === value) return 0;
+
+  doc.set(pathName, scrubbed);
+  return 1;
+};
+
+// Clear a path on a document, returning 1 if it held a value
+const clearPath = (doc, pathName, emptyValue = undefined) => {
+  const value = doc.get(pathName);
+  const isEmpty = value === undefined || value === null || value === '' || value === emptyValue ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+      Object.keys(value.toObject ? value.toObject() : value).length === 0);
+  if (isEmpty) return 0;
+
+  doc.set(pathName, emptyValue);
+  return 1;
+};
+
+// Uploaded files are stored as absolute paths or as /uploads URLs
+const resolveUploadPath = (storedPath) => {
+  if (!storedPath) return null;
+  const candidates = [storedPath, path.join(__dirname, '..', storedPath.replace(/^\/+/, ''))];
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+};
+
+const anonymizeUser = (user) => {
+  const changedFields = [];
+  const set = (field, value) => {
+    if (clearPath(user, field, value)) changedFields.push(field);
+  };
+
+  ['phone', 'company', 'companySize', 'industry', 'recruiterRejectionReason'].forEach(field => set(field));
+  ['profilePicture', 'resume', 'companyId', 'companyRole', 'ssoIssuer', 'ssoSubject', 'lastLogin', 'emailVerifiedAt']
+    .forEach(field => set(field, null));
+  ['skills', 'education', 'permissions'].forEach(field => set(field, []));
+  set('experience', 0);
+
+  user.firstName = 'Deleted';
+  user.lastName = 'User';
+  user.email = `erased-${user._id}@erased.invalid`;
+  user.password = generateToken();
+  user.isActive = false;
+  user.isEmailVerified = false;
+  user.twoFactorEnabled = false;
+  user.twoFactorEnabledAt = null;
+  user.anonymizedAt = new Date();
+  changedFields.unshift('firstName', 'lastName', 'email', 'password');
+
+  return changedFields;
+};
+
+const anonymizeApplication = (application, pattern) => {
+  const result = { resumeSectionsErased: 0, textFieldsScrubbed: 0, resumeFile: null };
+
+  PERSONAL_RESUME_SECTIONS.forEach(section => {
+    const emptyValue = ['experience', 'education', 'certifications', 'projects'].includes(section) ? [] : undefined;
+    result.resumeSectionsErased += clearPath(application, `parsedResumeData.${section}`, emptyValue);
+  });
+
+  if (application.resume && application.resume.path) {
+    result.resumeFile = resolveResumePath(application.resume);
+    clearPath(application, 'resume');
+  }
+
+  // Written by the applicant, so removed rather than scrubbed
+  result.textFieldsScrubbed += clearPath(application, 'coverLetter');
+  result.textFieldsScrubbed += clearPath(application, 'withdrawalReason');
+  (application.customAnswers || []).forEach((answer, index) => {
+    result.textFieldsScrubbed += clearPath(application, `customAnswers.${index}.answer`, REDACTED);
+  });
+
+  // Written by the hiring team, only identifying text is removed
+  result.textFieldsScrubbed += scrubPath(application, 'rejectionReason', pattern);
+  result.textFieldsScrubbed += scrubPath(application, 'rating.feedback', pattern);
+  (application.notes || []).forEach((note, index) => {
+    result.textFieldsScrubbed += scrubPath(application, `notes.${index}.content`, pattern);
+  });
+  (application.timeline || []).forEach((entry, index) => {
+    result.textFieldsScrubbed += scrubPath(application, `timeline.${index}.reason`, pattern);
+  });
+
+  return result;
+};
+
+const anonymizeInterview = (interview, pattern) => {
+  const result = { textFieldsScrubbed: 0, attachmentFiles: [] };
+
+  ['notes', 'rescheduledReason', 'cancellationReason'].forEach(field => {
+    result.textFieldsScrubbed += scrubPath(interview, field, pattern);
+  });
+  ['technical', 'communication', 'problemSolving', 'cultural', 'overall'].forEach(area => {
+    result.textFieldsScrubbed += scrubPath(interview, `feedback.${area}.comments`, pattern);
+  });
+  (interview.noteHistory || []).forEach((note, index) => {
+    result.textFieldsScrubbed += scrubPath(interview, `noteHistory.${index}.content`, pattern);
+  });
+  (interview.questions || []).forEach((question, index) => {
+    // The candidate's own answers go, the interviewer's notes are scrubbed
+    result.textFieldsScrubbed += clearPath(interview, `questions.${index}.answer`);
+    result.textFieldsScrubbed += scrubPath(interview, `questions.${index}.notes`, pattern);
+  });
+
+  // Attachments usually are the candidate's work or documents
+  (interview.attachments || []).forEach(attachment => {
+    result.attachmentFiles.push(resolveUploadPath(attachment.path));
+  });
+  result.textFieldsScrubbed += clearPath(interview, 'attachments', []);
+
+  return result;
+};
+
+// Erase a user's personal data. With `dryRun` nothing is changed and the
+// returned summary describes what would happen. Statuses, dates, scores and
+// ratings are kept so dashboards and analytics do not change.
+const eraseUser = async (user, { dryRun = false } = {}) => {
+  const applications = await Application.find({ applicant: user._id });
+  const interviews = await Interview.find({ applicant: user._id });
+  const pattern = buildIdentifierPattern(user, applications);
+
+  const filesToDelete = [];
+  const summary = {
+    user: { fieldsAnonymized: [], filesDeleted: 0 },
+    applications: { total: applications.length, resumeSectionsErased: 0, resumeFilesDeleted: 0, textFieldsScrubbed: 0 },
+    interviews: { total: interviews.length, textFieldsScrubbed: 0, attachmentsDeleted: 0 },
+    sessionsDeleted: 0,
+    apiKeysRevoked: 0,
+    invitationsDeleted: 0,
+    loginThrottlesDeleted: 0,
+    dataExportsDeleted: 0,
+    auditLogEntriesStripped: 0,
+    auditLogSubjectsReplaced: 0
+  };
+
+  // Profile files
+  [resolveUploadPath(user.profilePicture), resolveResumePath(user.resume)].filter(Boolean).forEach(file => {
+    filesToDelete.push(file);
+    summary.user.filesDeleted++;
+  });
+
+  applications.forEach(application => {
+    const result = anonymizeApplication(application, pattern);
+    summary.applications.resumeSectionsErased += result.resumeSectionsErased;
+    summary.applications.textFieldsScrubbed += result.textFieldsScrubbed;
+    if (result.resumeFile) {
+      filesToDelete.push(result.resumeFile);
+      summary.applications.resumeFilesDeleted++;
+    }
+  });
+
+  interviews.forEach(interview => {
+    const result = anonymizeInterview(interview, pattern);
+    summary.interviews.textFieldsScrubbed += result.textFieldsScrubbed;
+    result.attachmentFiles.filter(Boolean).forEach(file => {
+      filesToDelete.push(file);
+      summary.interviews.attachmentsDeleted++;
+    });
+  });
+
+  const originalEmail = user.email;
+  const dataExports = await DataExport.find({ user: user._id }).select('+filePath');
+  const relatedQueries = {
+    sessions: { user: user._id },
+    apiKeys: { createdBy: user._id, revokedAt: null },
+    invitations: { email: originalEmail },
+    loginThrottles: { scope: 'account', subject: originalEmail },
+    auditLogs: { actor: user._id, $or: [{ ip: { $ne: null } }, { userAgent: { $ne: null } }] },
+    // Lockout and unlock entries name the account by email
+    auditLogSubjects: { 'metadata.subject': originalEmail }
+  };
+
+  summary.sessionsDeleted = await Session.countDocuments(relatedQueries.sessions);
+  summary.apiKeysRevoked = await ApiKey.countDocuments(relatedQueries.apiKeys);
+  summary.invitationsDeleted = await Invitation.countDocuments(relatedQueries.invitations);
+  summary.loginThrottlesDeleted = await LoginThrottle.countDocuments(relatedQueries.loginThrottles);
+  summary.dataExportsDeleted = dataExports.length;
+  summary.auditLogEntriesStripped = await AuditLog.countDocuments(relatedQueries.auditLogs);
+  summary.auditLogSubjectsReplaced = await AuditLog.countDocuments(relatedQueries.auditLogSubjects);
+  dataExports.forEach(dataExport => {
+    if (dataExport.filePath) filesToDelete.push(dataExport.filePath);
+  });
+
+  summary.user.fieldsAnonymized = anonymizeUser(user);
+
+  if (dryRun) {
+    return summary;
+  }
+
+  // Validators are skipped: the placeholder email uses a reserved domain
+  await user.save({ validateBeforeSave: false });
+  await User.updateOne(
+    { _id: user._id },
+    { $unset: USER_SECRET_FIELDS.reduce((fields, field) => ({ ...fields, [field]: '' }), {}) }
+  );
+
+  for (const application of applications) {
+    await application.save({ validateBeforeSave: false });
+  }
+  for (const interview of interviews) {
+    await interview.save({ validateBeforeSave: false });
+  }
+
+  await Session.deleteMany(relatedQueries.sessions);
+  await ApiKey.updateMany(relatedQueries.apiKeys, { revokedAt: new Date() });
+  await Invitation.deleteMany(relatedQueries.invitations);
+  await LoginThrottle.deleteMany(relatedQueries.loginThrottles);
+  await DataExport.deleteMany({ user: user._id });
+  await AuditLog.updateMany(relatedQueries.auditLogs, { $unset: { ip: '', userAgent: '' } });
+  await AuditLog.updateMany(relatedQueries.auditLogSubjects, { $set: { 'metadata.subject': user.email } });
+
+  filesToDelete.forEach(file => deleteFile(file));
+
+  return summary;
+};
+
+// Erase a user and issue the compliance certificate
+const eraseUserWithCertificate = async (user, { performedBy, reason }) => {
+  const subjectRole = user.role;
+  const summary = await eraseUser(user);
+
+  const completedAt = new Date();
+  const certificate = new ErasureCertificate({
+    certificateNumber: ErasureCertificate.generateNumber(completedAt),
+    subject: user._id,
+    subjectRole,
+    performedBy,
+    reason,
+    summary,
+    completedAt
+  });
+  certificate.digest = certificate.computeDigest();
+  await certificate.save();
+
+  return certificate;
+};
+
+module.exports = {
+  eraseUser,
+  eraseUserWithCertificate
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { FIELD_ACCESS, FIELD_HINTS } = require('../config/fieldAccess');
+
+// Check a request body against the fields a role may set on a resource.
+// Fields are looked up in the model's schema so typos and made-up fields
+// are reported as unknown rather than silently dropped by Mongoose.
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+};
+
+// Report keys inside a nested object (e.g. `salary.bonus`) that the schema
+// does not define. Arrays and subdocuments are left to Mongoose validation.
+const findUnknownNestedFields = (schema, prefix, value) => {
+  if (schema.pathType(prefix) !== 'nested' || !isPlainObject(value)) return [];
+
+  return Object.keys(value).flatMap(key => {
+    const path = `${prefix}.${key}`;
+    if (schema.pathType(path) === 'adhocOrUndefined') return [path];
+    return findUnknownNestedFields(schema, path, value[key]);
+  });
+};
+
+// Returns `{ data, errors }`: `data` holds the allowed fields, `errors` one
+// entry per rejected field in the same shape as validation errors
+const filterWritableFields = (resource, role, body = {}) => {
+  const access = FIELD_ACCESS[resource];
+  if (!access) {
+    throw new Error(`No field access rules defined for ${resource}`);
+  }
+
+  const schema = mongoose.model(access.model).schema;
+  const allowed = access.roles[role] || [];
+  const hints = FIELD_HINTS[access.model] || {};
+
+  const data = {};
+  const errors = [];
+
+  Object.keys(body || {}).forEach(field => {
+    // Operators and dotted paths could reach fields the allowlist does not name
+    if (field.startsWith('$') || field.includes('.') || schema.pathType(field) === 'adhocOrUndefined') {
+      errors.push({ field, message: `${field} is not a valid field` });
+      return;
+    }
+
+    if (!allowed.includes(field)) {
+      const hint = hints[field] ? `: ${hints[field]}` : '';
+      errors.push({ field, message: `${field} cannot be set${hint}` });
+      return;
+    }
+
+    findUnknownNestedFields(schema, field, body[field]).forEach(path => {
+      errors.push({ field: path, message: `${path} is not a valid field` });
+    });
+
+    data[field] = body[field];
+  });
+
+  return { data, errors };
+};
+
+// Standard response for a body with rejected fields
+const sendFieldErrors = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    message: `Request contains fields that cannot be set: ${errors.map(error => error.field).join(', ')}`,
+    errors
+  });
+};
+
+module.exports = {
+  filterWritableFields,
+  sendFieldErrors
+};
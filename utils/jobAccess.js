@@ -0,0 +1,32 @@
+const Job = require('../models/Job');
+
+// Query for the jobs a recruiter works on: their own postings and every
+// posting of their company team
+const recruiterJobsQuery = (user) => {
+  if (user.companyId) {
+    return { $or: [{ postedBy: user._id }, { companyId: user.companyId }] };
+  }
+  return { postedBy: user._id };
+};
+
+// Ids of the jobs a recruiter works on
+const getRecruiterJobIds = async (user) => {
+  const jobs = await Job.find(recruiterJobsQuery(user)).select('_id');
+  return jobs.map(job => job._id);
+};
+
+// Check if user posted the job or belongs to the company team that owns it.
+// Admin access is checked separately by the callers.
+const isJobTeamMember = (user, job) => {
+  const postedBy = job.postedBy && job.postedBy._id ? job.postedBy._id : job.postedBy;
+  if (postedBy && postedBy.toString() === user._id.toString()) return true;
+
+  const companyId = job.companyId && job.companyId._id ? job.companyId._id : job.companyId;
+  return !!(user.companyId && companyId && companyId.toString() === user.companyId.toString());
+};
+
+module.exports = {
+  recruiterJobsQuery,
+  getRecruiterJobIds,
+  isJobTeamMember
+};
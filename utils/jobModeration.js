@@ -0,0 +1,211 @@
+const Job = require('../models/Job');
+
+// Optional review of job postings by admins. When enabled, postings from
+// recruiters go to `pending_review` instead of going live, and automatic
+// checks flag anything the reviewer should look at. Every setting can be
+// tuned per deployment through environment variables.
+
+// Phrases common in fraudulent postings
+const DEFAULT_BANNED_WORDS = [
+  'upfront fee',
+  'registration fee',
+  'training fee',
+  'wire transfer',
+  'western union',
+  'moneygram',
+  'gift card',
+  'crypto payment',
+  'bitcoin payment',
+  'money mule',
+  'reshipping',
+  'guaranteed income',
+  'get rich quick',
+  'no interview required'
+];
+
+// Link shorteners and chat invites hide where a link really goes
+const SUSPICIOUS_LINK_HOSTS = [
+  'bit.ly',
+  'tinyurl.com',
+  'goo.gl',
+  't.co',
+  'ow.ly',
+  'is.gd',
+  'buff.ly',
+  'cutt.ly',
+  'rebrand.ly',
+  'shorturl.at',
+  'wa.me',
+  't.me',
+  'telegram.me'
+];
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"')\]]+/gi;
+
+// Open postings from the same team that a new one may be a copy of
+const DUPLICATE_STATUSES = ['draft', 'pending_review', 'active', 'paused'];
+
+const readList = (value) => {
+  return (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+};
+
+const getModerationSettings = () => ({
+  enabled: process.env.JOB_MODERATION_ENABLED === 'true',
+  bannedWords: [...DEFAULT_BANNED_WORDS, ...readList(process.env.JOB_MODERATION_BANNED_WORDS)],
+  requireSalary: process.env.JOB_MODERATION_REQUIRE_SALARY !== 'false',
+  // Links to these domains and their subdomains are never flagged
+  allowedLinkDomains: readList(process.env.JOB_MODERATION_ALLOWED_LINK_DOMAINS)
+});
+
+// Whether postings by this user need an admin's approval
+const requiresReview = (user, settings = getModerationSettings()) => {
+  return settings.enabled && user.role !== 'admin';
+};
+
+// Whether the job's current content has been approved
+const isApproved = (job, settings = getModerationSettings()) => {
+  return !settings.enabled || job.moderation.approvedRevision === job.revision;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getJobText = (job) => {
+  return [
+    job.title,
+    job.company,
+    job.description,
+    ...(job.requirements || []),
+    ...(job.responsibilities || []),
+    ...(job.benefits || []),
+    ...(job.tags || []),
+    ...(job.screeningQuestions || []).map(question => question.question)
+  ].filter(Boolean).join('\n');
+};
+
+const findBannedWords = (text, bannedWords) => {
+  return bannedWords.filter(word => new RegExp(`\\b${escapeRegExp(word)}\\b`, 'i').test(text));
+};
+
+const isAllowedHost = (host, allowedDomains) => {
+  return allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+};
+
+// Describe why a link looks suspicious, or return null
+const describeSuspiciousLink = (link, allowedDomains) => {
+  let url;
+  try {
+    url = new URL(/^www\./i.test(link) ? `http://${link}` : link);
+  } catch (error) {
+    return 'it is not a valid address';
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  if (isAllowedHost(host, allowedDomains)) return null;
+
+  if (SUSPICIOUS_LINK_HOSTS.includes(host)) return 'it hides its destination';
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[')) return 'it points to an IP address';
+  if (host.split('.').some(label => label.startsWith('xn--'))) return 'it uses look-alike characters';
+  if (url.username || url.password) return 'it contains login details';
+  if (allowedDomains.length > 0) return 'its domain is not on the allowed list';
+  return null;
+};
+
+const findDuplicates = (job) => {
+  const team = job.companyId ? { companyId: job.companyId } : { postedBy: job.postedBy };
+
+  return Job.find({
+    _id: { $ne: job._id },
+    ...team,
+    status: { $in: DUPLICATE_STATUSES },
+    title: new RegExp(`^\\s*${escapeRegExp(job.title.trim())}\\s*$`, 'i'),
+    location: new RegExp(`^\\s*${escapeRegExp(job.location.trim())}\\s*$`, 'i')
+  }).select('_id title status').limit(5);
+};
+
+// Run the automatic checks, returning `[{ rule, message }]`
+const checkJob = async (job, settings = getModerationSettings()) => {
+  const flags = [];
+  const text = getJobText(job);
+
+  const bannedWords = findBannedWords(text, settings.bannedWords);
+  if (bannedWords.length > 0) {
+    flags.push({ rule: 'banned_words', message: `Contains banned words: ${bannedWords.join(', ')}` });
+  }
+
+  if (settings.requireSalary && !job.salary.min && !job.salary.max) {
+    flags.push({ rule: 'missing_salary', message: 'No salary range is given' });
+  }
+
+  const duplicates = await findDuplicates(job);
+  if (duplicates.length > 0) {
+    flags.push({
+      rule: 'duplicate',
+      message: `Matches existing postings: ${duplicates.map(duplicate => `${duplicate._id} (${duplicate.status})`).join(', ')}`
+    });
+  }
+
+  // Sentence punctuation after a link is not part of it
+  const links = [...new Set((text.match(LINK_PATTERN) || []).map(link => link.replace(/[.,;:!?]+$/, '')))];
+  links.forEach(link => {
+    const problem = describeSuspiciousLink(link, settings.allowedLinkDomains);
+    if (problem) {
+      flags.push({ rule: 'suspicious_link', message: `${link}: ${problem}` });
+    }
+  });
+
+  return flags;
+};
+
+// Put a job in the review queue with fresh check results. The caller saves.
+const submitForReview = async (job, changedBy, reason = 'Submitted for review') => {
+  job.moderation.flags = await checkJob(job);
+  job.moderation.status = 'pending';
+  job.moderation.submittedAt = new Date();
+  job.moderation.reviewedBy = null;
+  job.moderation.reviewedAt = null;
+  job.moderation.reason = null;
+
+  job.status = 'pending_review';
+  job._changedBy = changedBy;
+  job._statusReason = reason;
+};
+
+// Record an admin's approval of the job's current content. The caller
+// sets the status and saves.
+const markApproved = (job, reviewerId, note = null) => {
+  job.moderation.status = 'approved';
+  job.moderation.reviewedBy = reviewerId;
+  job.moderation.reviewedAt = new Date();
+  job.moderation.reason = note;
+  job.moderation.approvedRevision = job.revision;
+};
+
+// Keep moderation in step with a job whose content changed, before it is
+// saved, so edited content is never public unreviewed. Edits by admins keep
+// an approval; edits by recruiters send a live or queued job back for
+// review. The caller saves.
+const handleJobEdit = async (job, user, previousRevision) => {
+  const settings = getModerationSettings();
+  if (!settings.enabled || job.revision === previousRevision) return;
+
+  if (!requiresReview(user, settings)) {
+    if (job.moderation.approvedRevision === previousRevision) {
+      markApproved(job, user._id);
+    }
+    return;
+  }
+
+  if (['active', 'pending_review'].includes(job.status)) {
+    await submitForReview(job, user._id, 'Edited, submitted for review');
+  }
+};
+
+module.exports = {
+  getModerationSettings,
+  requiresReview,
+  isApproved,
+  checkJob,
+  submitForReview,
+  markApproved,
+  handleJobEdit
+};
@@ -0,0 +1,102 @@
+const JobRevision = require('../models/JobRevision');
+const { JOB_FIELDS } = require('../config/fieldAccess');
+
+// Every change to what a posting says is kept as a numbered revision, so
+// the team can show what a candidate saw when they applied.
+
+// Restoring brings back what the posting said; when it runs stays as it is
+const SCHEDULING_FIELDS = ['applicationDeadline', 'publishAt'];
+
+// The editable content of a job as plain data
+const snapshotJob = (job) => {
+  const data = job.toObject({ depopulate: true, virtuals: false });
+  return JOB_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = data[field] === undefined ? null : data[field];
+    return snapshot;
+  }, {});
+};
+
+const diffSnapshots = (before, after) => {
+  return JOB_FIELDS
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+// Record the job as it is now as its first revision. Used when a job is
+// created, and for jobs created before revisions were kept.
+const recordBaseline = async (job, changedBy = null) => {
+  const exists = await JobRevision.exists({ job: job._id, revision: job.revision });
+  if (exists) return;
+
+  await JobRevision.create({
+    job: job._id,
+    revision: job.revision,
+    changedBy,
+    changes: [],
+    snapshot: snapshotJob(job)
+  });
+};
+
+// Apply `data` to a job and save it as a new revision when its content
+// changes. `beforeSave` can adjust a changed job (e.g. its status) so it is
+// stored in the same save. Returns `{ revision, conflict }`; `conflict` is
+// set when another update claimed the same revision number first and
+// nothing was saved.
+const saveJobWithRevision = async (job, data, changedBy, { restoredFrom = null, beforeSave = null } = {}) => {
+  await recordBaseline(job);
+
+  const before = snapshotJob(job);
+  job.set(data);
+  const after = snapshotJob(job);
+  const changes = diffSnapshots(before, after);
+
+  if (changes.length === 0) {
+    await job.save();
+    return { revision: null, conflict: false };
+  }
+
+  await job.validate();
+
+  let revision;
+  try {
+    revision = await JobRevision.create({
+      job: job._id,
+      revision: job.revision + 1,
+      changedBy,
+      changes,
+      snapshot: after,
+      restoredFrom
+    });
+  } catch (error) {
+    if (error.code === 11000) return { revision: null, conflict: true };
+    throw error;
+  }
+
+  job.revision = revision.revision;
+  try {
+    if (beforeSave) await beforeSave(job);
+    await job.save();
+  } catch (error) {
+    await revision.deleteOne();
+    throw error;
+  }
+
+  return { revision, conflict: false };
+};
+
+// The fields to set on a job to bring back an earlier revision
+const getRestoreData = (revision) => {
+  return JOB_FIELDS
+    .filter(field => !SCHEDULING_FIELDS.includes(field))
+    .reduce((data, field) => {
+      data[field] = revision.snapshot[field] === null ? undefined : revision.snapshot[field];
+      return data;
+    }, {});
+};
+
+module.exports = {
+  snapshotJob,
+  recordBaseline,
+  saveJobWithRevision,
+  getRestoreData
+};
@@ -0,0 +1,127 @@
+const Job = require('../models/Job');
+const sendEmail = require('./sendEmail');
+const { jobDeadlineReminderEmail } = require('./emailTemplates');
+const { getModerationSettings, checkJob } = require('./jobModeration');
+const { findJobsAwaitingRequisition } = require('./requisitions');
+
+// Time-based job changes: scheduled drafts are published, jobs past their
+// application deadline are closed and posters are reminded before that
+// happens. Every step claims jobs with a conditional update, so several
+// instances can run it at the same time without repeating work.
+
+const getIntervalMinutes = () => parseInt(process.env.JOB_SCHEDULER_INTERVAL_MINUTES) || 5;
+
+const getReminderDays = () => {
+  const days = parseInt(process.env.JOB_DEADLINE_REMINDER_DAYS);
+  return Number.isNaN(days) ? 3 : days;
+};
+
+const publishScheduledJobs = async (now) => {
+  const scheduled = { status: 'draft', publishAt: { $ne: null, $lte: now } };
+  const settings = getModerationSettings();
+
+  // Jobs waiting for their requisition stay drafts until it is approved
+  const blocked = await findJobsAwaitingRequisition(scheduled);
+  const due = { ...scheduled, _id: { $nin: blocked } };
+
+  if (!settings.enabled) {
+    return Job.transitionStatus(due, 'active', 'Published at the scheduled time');
+  }
+
+  // With moderation on, only approved content goes live; the rest is queued
+  // for review. Rejected drafts wait for the recruiter to resubmit them.
+  // Jobs saved before revisions were kept have no stored revision number.
+  const currentRevision = { $ifNull: ['$revision', 1] };
+
+  const published = await Job.transitionStatus(
+    { ...due, $expr: { $eq: [currentRevision, '$moderation.approvedRevision'] } },
+    'active',
+    'Published at the scheduled time'
+  );
+
+  const unapproved = await Job.find({
+    ...due,
+    'moderation.status': { $ne: 'rejected' },
+    $expr: { $ne: [currentRevision, '$moderation.approvedRevision'] }
+  });
+
+  for (const job of unapproved) {
+    const flags = await checkJob(job, settings);
+    await Job.transitionStatus(
+      { _id: job._id, status: 'draft', updatedAt: job.updatedAt },
+      'pending_review',
+      'Scheduled publish time reached, submitted for review',
+      null,
+      {
+        'moderation.status': 'pending',
+        'moderation.flags': flags,
+        'moderation.submittedAt': now,
+        'moderation.reviewedBy': null,
+        'moderation.reviewedAt': null,
+        'moderation.reason': null
+      }
+    );
+  }
+
+  return published;
+};
+
+// Paused and queued jobs are closed too, so they cannot go live past the deadline
+const closeExpiredJobs = (now) => {
+  return Job.transitionStatus(
+    { status: { $in: ['active', 'paused', 'pending_review'] }, applicationDeadline: { $lte: now } },
+    'closed',
+    'Application deadline passed'
+  );
+};
+
+const sendDeadlineReminders = async (now) => {
+  const days = getReminderDays();
+  if (days <= 0) return 0;
+
+  const candidates = await Job.find({
+    status: 'active',
+    deadlineReminderSentAt: null,
+    applicationDeadline: { $gt: now, $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) }
+  }).select('_id');
+
+  let sent = 0;
+
+  for (const { _id } of candidates) {
+    // Only the instance that sets the flag sends the reminder
+    const job = await Job.findOneAndUpdate(
+      { _id, deadlineReminderSentAt: null },
+      { $set: { deadlineReminderSentAt: now } },
+      { new: true }
+    ).populate('postedBy', 'firstName email isActive');
+
+    if (!job || !job.postedBy || !job.postedBy.isActive) continue;
+
+    try {
+      await sendEmail({
+        to: job.postedBy.email,
+        ...jobDeadlineReminderEmail(job.postedBy, job)
+      });
+      sent += 1;
+    } catch (emailError) {
+      // Release the claim so the next run tries again
+      await Job.updateOne({ _id, deadlineReminderSentAt: now }, { $set: { deadlineReminderSentAt: null } });
+      console.error('Job deadline reminder email error:', emailError);
+    }
+  }
+
+  return sent;
+};
+
+const runJobLifecycle = async (now = new Date()) => {
+  const published = await publishScheduledJobs(now);
+  const closed = await closeExpiredJobs(now);
+  const reminded = await sendDeadlineReminders(now);
+
+  return { published, closed, reminded };
+};
+
+module.exports = {
+  getIntervalMinutes,
+  runJobLifecycle
+};
@@ -0,0 +1,192 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const User = require('../models/User');
+const recordAudit = require('./audit');
+
+// Failures allowed per account and per IP before a lockout
+const THROTTLE_LIMITS = {
+  login: {
+    account: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+    ip: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20
+  },
+  password: {
+    account: 3,
+    ip: 10
+  },
+  'forgot-password': {
+    account: 3,
+    ip: 10
+  },
+  'magic-link': {
+    account: 3,
+    ip: 10
+  },
+  'magic-link-verify': {
+    account: 5,
+    ip: 10
+  },
+  'two-factor': {
+    account: 5,
+    ip: 10
+  }
+};
+
+const MINUTE = 60 * 1000;
+
+// Failures older than the window no longer count
+const failureWindowMs = () => (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * MINUTE;
+
+// First lockout lasts LOGIN_LOCKOUT_MINUTES, each further one doubles it
+const lockoutDurationMs = (lockCount) => {
+  const base = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 5) * MINUTE;
+  const max = (parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60) * MINUTE;
+  return Math.min(base * Math.pow(2, lockCount), max);
+};
+
+// Counters (and the backoff level) are kept for a day after the last event
+const retentionMs = () => 24 * 60 * MINUTE;
+
+// Build the account and IP subjects for a request
+const getThrottleSubjects = (action, ip, email) => {
+  const limits = THROTTLE_LIMITS[action];
+  const subjects = [{
+    key: `${action}:ip:${ip}`,
+    action,
+    scope: 'ip',
+    subject: ip,
+    max: limits.ip
+  }];
+
+  if (email) {
+    const normalized = String(email).trim().toLowerCase();
+    subjects.push({
+      key: `${action}:account:${normalized}`,
+      action,
+      scope: 'account',
+      subject: normalized,
+      max: limits.account
+    });
+  }
+
+  return subjects;
+};
+
+// Latest lock end among the subjects, or null if none is locked
+const getLockedUntil = async (subjects) => {
+  const locked = await LoginThrottle.find({
+    key: { $in: subjects.map(subject => subject.key) },
+    lockedUntil: { $gt: new Date() }
+  }).sort({ lockedUntil: -1 }).limit(1);
+
+  return locked.length ? locked[0].lockedUntil : null;
+};
+
+// Count one failure for a subject, starting a new window if the last one expired
+const incrementFailures = async (subject, now) => {
+  const expiresAt = new Date(now.getTime() + retentionMs());
+
+  const current = await LoginThrottle.findOneAndUpdate(
+    { key: subject.key, lastFailureAt: { $gte: new Date(now.getTime() - failureWindowMs()) } },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt } },
+    { new: true }
+  );
+  if (current) return current;
+
+  try {
+    return await LoginThrottle.findOneAndUpdate(
+      { key: subject.key },
+      {
+        $set: { failures: 1, lastFailureAt: now, expiresAt },
+        $setOnInsert: { action: subject.action, scope: subject.scope, subject: subject.subject }
+      },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Another request created the document first, count against it
+    if (error.code === 11000) {
+      return LoginThrottle.findOneAndUpdate(
+        { key: subject.key },
+        { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt } },
+        { new: true }
+      );
+    }
+    throw error;
+  }
+};
+
+// Lock a subject whose failures reached the limit
+const applyLockout = async (throttle, subject, req, now) => {
+  const lockedUntil = new Date(now.getTime() + lockoutDurationMs(throttle.lockCount));
+
+  // Only one concurrent request gets to apply (and audit) the lockout
+  const locked = await LoginThrottle.findOneAndUpdate(
+    {
+      _id: throttle._id,
+      failures: { $gte: subject.max },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    {
+      $set: { lockedUntil, failures: 0, expiresAt: new Date(lockedUntil.getTime() + retentionMs()) },
+      $inc: { lockCount: 1 }
+    },
+    { new: true }
+  );
+  if (!locked) return;
+
+  let targetUser = null;
+  if (subject.scope === 'account') {
+    const user = await User.findOne({ email: subject.subject }).select('_id');
+    targetUser = user ? user._id : null;
+  }
+
+  await recordAudit({
+    action: 'auth.lockout',
+    req,
+    actor: null,
+    targetUser,
+    metadata: {
+      throttleAction: subject.action,
+      scope: subject.scope,
+      subject: subject.subject,
+      lockCount: locked.lockCount,
+      lockedUntil
+    }
+  });
+};
+
+// Record a failed attempt for every subject and lock the ones over their limit
+const recordFailure = async (subjects, req) => {
+  const now = new Date();
+
+  for (const subject of subjects) {
+    const throttle = await incrementFailures(subject, now);
+    if (throttle && throttle.failures >= subject.max) {
+      await applyLockout(throttle, subject, req, now);
+    }
+  }
+};
+
+// A successful attempt clears the failure counters. The backoff level stays
+// until the counter expires, so one valid login in between guesses cannot
+// reset it for an account or a credential-stuffing source.
+const recordSuccess = async (subjects) => {
+  await LoginThrottle.updateMany(
+    { key: { $in: subjects.map(subject => subject.key) } },
+    { $set: { failures: 0 } }
+  );
+};
+
+// Remove every counter and lock held against an account
+const unlockAccount = (email) => {
+  return LoginThrottle.deleteMany({
+    scope: 'account',
+    subject: String(email).trim().toLowerCase()
+  });
+};
+
+module.exports = {
+  getThrottleSubjects,
+  getLockedUntil,
+  recordFailure,
+  recordSuccess,
+  unlockAccount
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect relying party helpers for the authorization code flow
+// with PKCE (RFC 7636). Works with any provider that publishes discovery
+// metadata and signs ID tokens with RS256 or ES256.
+
+// Discovery documents and signing keys rarely change, cache them per issuer
+const METADATA_CACHE_TTL_MS = 10 * 60 * 1000;
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Provider URLs come from company settings, so only https is followed.
+// Plain http is allowed for a local provider during development.
+const isAllowedProviderUrl = (url) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (target.protocol === 'https:') return true;
+  return target.protocol === 'http:'
+    && process.env.NODE_ENV === 'development'
+    && LOOPBACK_HOSTS.includes(target.hostname);
+};
+
+// Small JSON HTTP client so we do not depend on a global fetch
+const requestJson = (url, { method = 'GET', headers = {}, body = null } = {}) => {
+  return new Promise((resolve, reject) => {
+    if (!isAllowedProviderUrl(url)) {
+      return reject(new Error('Identity provider URLs must use https'));
+    }
+
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const req = client.request(target, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...(body && { 'Content-Length': Buffer.byteLength(body) }),
+        ...headers
+      },
+      timeout: 10000
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        let json;
+        try {
+          json = data ? JSON.parse(data) : {};
+        } catch (error) {
+          return reject(new Error(`Invalid JSON from ${target.origin}${target.pathname}`));
+        }
+
+        if (res.statusCode >= 400) {
+          const error = new Error(json.error_description || json.error || `Request to ${target.pathname} failed with status ${res.statusCode}`);
+          error.statusCode = res.statusCode;
+          return reject(error);
+        }
+        resolve(json);
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request to ${target.origin} timed out`)));
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+};
+
+// Load the provider's discovery document
+const getProviderMetadata = async (issuer) => {
+  const cached = metadataCache.get(issuer);
+  if (cached && Date.now() - cached.fetchedAt < METADATA_CACHE_TTL_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await requestJson(`${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`);
+  if (metadata.issuer !== issuer) {
+    throw new Error('Discovery document issuer does not match the configured issuer');
+  }
+
+  metadataCache.set(issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+// Find the public key for a token's `kid`, refreshing the key set once if
+// it is unknown (the provider may have rotated its keys)
+const getSigningKey = async (jwksUri, kid) => {
+  for (const forceRefresh of [false, true]) {
+    let cached = jwksCache.get(jwksUri);
+    if (forceRefresh || !cached || Date.now() - cached.fetchedAt >= METADATA_CACHE_TTL_MS) {
+      const jwks = await requestJson(jwksUri);
+      cached = { keys: jwks.keys || [], fetchedAt: Date.now() };
+      jwksCache.set(jwksUri, cached);
+    }
+
+    const jwk = cached.keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+
+  throw new Error('No matching signing key found for ID token');
+};
+
+// base64url without padding
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// PKCE verifier and its S256 challenge
+const generatePkcePair = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+};
+
+// Build the URL the browser is sent to for login at the provider
+const buildAuthorizationUrl = async ({ issuer, clientId, redirectUri, scopes, state, nonce, codeChallenge, loginHint }) => {
+  const metadata = await getProviderMetadata(issuer);
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  if (loginHint) params.set('login_hint', loginHint);
+
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+};
+
+// Exchange an authorization code for tokens
+const exchangeCode = async ({ issuer, clientId, clientSecret, redirectUri, code, codeVerifier }) => {
+  const metadata = await getProviderMetadata(issuer);
+
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: codeVerifier
+  });
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (clientSecret) {
+    // client_secret_basic, the default token endpoint auth method
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  return requestJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: form.toString()
+  });
+};
+
+// Verify an ID token's signature and claims, returning its payload
+const verifyIdToken = async ({ issuer, clientId, idToken, nonce }) => {
+  const metadata = await getProviderMetadata(issuer);
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('ID token is malformed');
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'ES256'],
+    issuer,
+    audience: clientId,
+    clockTolerance: 60
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  return claims;
+};
+
+// Fetch extra claims (groups are often only available here)
+const fetchUserInfo = async ({ issuer, accessToken }) => {
+  const metadata = await getProviderMetadata(issuer);
+  if (!metadata.userinfo_endpoint || !accessToken) return {};
+
+  return requestJson(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+};
+
+module.exports = {
+  isAllowedProviderUrl,
+  generatePkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+// Password rules shared by registration, password change and reset. Every
+// rule can be tuned per deployment through environment variables.
+
+const readBoolean = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return value === 'true' || value === '1';
+};
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const getPasswordPolicy = () => ({
+  minLength: readNumber(process.env.PASSWORD_MIN_LENGTH, 8),
+  maxLength: readNumber(process.env.PASSWORD_MAX_LENGTH, 128),
+  requireLowercase: readBoolean(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireUppercase: readBoolean(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireNumber: readBoolean(process.env.PASSWORD_REQUIRE_NUMBER, true),
+  requireSymbol: readBoolean(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+  blockCommon: readBoolean(process.env.PASSWORD_BLOCK_COMMON, true),
+  // Number of previous passwords, including the current one, that cannot be reused
+  historyCount: readNumber(process.env.PASSWORD_HISTORY_COUNT, 5)
+});
+
+// Breached and common passwords, lowercased. The bundled list can be
+// extended with a deployment specific file: a JSON array or one password
+// per line.
+let commonPasswords = null;
+
+const loadCommonPasswords = () => {
+  if (commonPasswords) return commonPasswords;
+
+  const entries = [...require('../config/commonPasswords.json')];
+
+  if (process.env.PASSWORD_BLOCKLIST_FILE) {
+    const filePath = path.resolve(process.env.PASSWORD_BLOCKLIST_FILE);
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extra = content.trim().startsWith('[') ? JSON.parse(content) : content.split(/\r?\n/);
+    entries.push(...extra);
+  }
+
+  commonPasswords = new Set(entries.map(entry => String(entry).trim().toLowerCase()).filter(Boolean));
+  return commonPasswords;
+};
+
+// "Summer2024!" is as guessable as "summer2024", and "Password1" as "password"
+const isCommonPassword = (password) => {
+  const list = loadCommonPasswords();
+  const lowered = password.toLowerCase();
+  return list.has(lowered) || list.has(lowered.replace(/[\d\W_]+$/, ''));
+};
+
+// Check a password against the policy, returning the list of broken rules
+const checkPassword = (password, policy = getPasswordPolicy()) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  const errors = [];
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (password.length > policy.maxLength) {
+    errors.push(`Password cannot exceed ${policy.maxLength} characters`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain at least one lowercase letter');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain at least one symbol');
+  }
+  if (policy.blockCommon && isCommonPassword(password)) {
+    errors.push('This password is too common, please choose a less predictable one');
+  }
+
+  return errors;
+};
+
+// Check whether a password matches one of the user's recent passwords.
+// The user must be loaded with `+password +passwordHistory`.
+const isRecentlyUsed = async (user, password, policy = getPasswordPolicy()) => {
+  if (policy.historyCount <= 0) return false;
+
+  const hashes = [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .filter((hash, index, list) => list.indexOf(hash) === index)
+    .slice(0, policy.historyCount);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+// Full check for a user choosing a new password
+const validateNewPassword = async (user, password) => {
+  const policy = getPasswordPolicy();
+  const errors = checkPassword(password, policy);
+
+  if (errors.length === 0 && await isRecentlyUsed(user, password, policy)) {
+    errors.push(`Password cannot be one of your last ${policy.historyCount} passwords`);
+  }
+
+  return errors;
+};
+
+// Random password that meets the policy, for accounts that never sign in
+// with a password of their own, such as users created through SSO
+const generateRandomPassword = (policy = getPasswordPolicy()) => {
+  const classes = 'aA1!';
+  const length = Math.max(Math.min(Math.max(policy.minLength, 48), policy.maxLength), classes.length);
+  const random = crypto.randomBytes(length).toString('hex').slice(0, length - classes.length);
+  return `${random}${classes}`;
+};
+
+module.exports = {
+  getPasswordPolicy,
+  checkPassword,
+  generateRandomPassword,
+  isRecentlyUsed,
+  validateNewPassword
+};
@@ -0,0 +1,93 @@
+const Job = require('../models/Job');
+const Requisition = require('../models/Requisition');
+const User = require('../models/User');
+const sendEmail = require('./sendEmail');
+const { requisitionApprovalRequestEmail, requisitionDecisionEmail } = require('./emailTemplates');
+
+// Job requisitions: headcount and budget approved before a job goes live.
+// Set JOB_REQUISITION_REQUIRED=true to stop jobs without one from going live.
+
+const isRequisitionRequired = () => process.env.JOB_REQUISITION_REQUIRED === 'true';
+
+// Requisitions without a company, or whose company has no chain, are
+// approved by admins
+const DEFAULT_APPROVAL_CHAIN = [{ name: 'Admin approval', approvers: [] }];
+
+// Copy the company's approval chain onto a new requisition. The first
+// step starts straight away.
+const buildApprovalSteps = (company) => {
+  const chain = company && company.requisitionApprovalChain.length > 0
+    ? company.requisitionApprovalChain
+    : DEFAULT_APPROVAL_CHAIN;
+
+  return chain.map((step, index) => ({
+    name: step.name,
+    approvers: [...step.approvers],
+    status: index === 0 ? 'pending' : 'waiting'
+  }));
+};
+
+// Why a job cannot go live yet because of its requisition, or null
+const getActivationBlock = async (job) => {
+  if (!job.requisition) {
+    return isRequisitionRequired() ? 'Jobs need an approved requisition before they can be activated' : null;
+  }
+
+  const requisition = await Requisition.findById(job.requisition).select('number status');
+  if (!requisition || requisition.status !== 'approved') {
+    return 'The job\'s requisition has not been approved yet';
+  }
+  return null;
+};
+
+// IDs of the jobs matching `filter` that cannot go live yet
+const findJobsAwaitingRequisition = async (filter) => {
+  const jobs = await Job.find(filter).select('requisition');
+  const requisitionIds = jobs.filter(job => job.requisition).map(job => job.requisition);
+
+  const approved = await Requisition.find({ _id: { $in: requisitionIds }, status: 'approved' }).distinct('_id');
+  const approvedIds = new Set(approved.map(id => id.toString()));
+
+  return jobs
+    .filter(job => (job.requisition ? !approvedIds.has(job.requisition.toString()) : isRequisitionRequired()))
+    .map(job => job._id);
+};
+
+// Tell the approvers of a step that it is their turn. Notifications never
+// undo a decision.
+const notifyApprovers = async (requisition, step) => {
+  try {
+    const approvers = await User.find({ _id: { $in: step.approvers }, isActive: true }).select('firstName email');
+
+    for (const approver of approvers) {
+      await sendEmail({
+        to: approver.email,
+        ...requisitionApprovalRequestEmail(approver, requisition, step)
+      });
+    }
+  } catch (emailError) {
+    console.error('Requisition approval email error:', emailError);
+  }
+};
+
+const notifyRequester = async (requisition, comment) => {
+  try {
+    const requester = await User.findById(requisition.requestedBy).select('firstName email');
+    if (!requester) return;
+
+    await sendEmail({
+      to: requester.email,
+      ...requisitionDecisionEmail(requester, requisition, comment)
+    });
+  } catch (emailError) {
+    console.error('Requisition decision email error:', emailError);
+  }
+};
+
+module.exports = {
+  buildApprovalSteps,
+  getActivationBlock,
+  findJobsAwaitingRequisition,
+  notifyApprovers,
+  notifyRequester
+};
@@ -0,0 +1,170 @@
+// Check an applicant's answers against a job's screening questions.
+// Answers arrive as `[{ questionId, answer }]` or `{ [questionId]: answer }`,
+// either as JSON text (multipart forms) or already parsed.
+
+const MAX_TEXT_ANSWER_LENGTH = 2000;
+
+// Whitespace-only text counts as no answer
+const isBlank = (value) => {
+  return value === undefined || value === null ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+};
+
+const parseAnswers = (raw) => {
+  if (isBlank(raw)) return {};
+
+  const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+
+  if (Array.isArray(parsed)) {
+    return parsed.reduce((answers, entry) => {
+      if (entry && entry.questionId !== undefined) {
+        answers[String(entry.questionId)] = entry.answer;
+      }
+      return answers;
+    }, {});
+  }
+
+  if (parsed && typeof parsed === 'object') return parsed;
+
+  throw new SyntaxError('Answers must be a list or an object');
+};
+
+// Convert an answer to the question's type. Returns `{ value }` or `{ error }`.
+const normalizeAnswer = (question, answer) => {
+  switch (question.type) {
+    case 'text':
+      if (typeof answer !== 'string') return { error: 'Answer must be text' };
+      if (answer.length > MAX_TEXT_ANSWER_LENGTH) {
+        return { error: `Answer cannot exceed ${MAX_TEXT_ANSWER_LENGTH} characters` };
+      }
+      return { value: answer.trim() };
+
+    case 'yes_no':
+      if (typeof answer === 'boolean') return { value: answer };
+      if (['yes', 'true'].includes(String(answer).toLowerCase())) return { value: true };
+      if (['no', 'false'].includes(String(answer).toLowerCase())) return { value: false };
+      return { error: 'Answer must be yes or no' };
+
+    case 'single_choice':
+      if (!question.options.includes(answer)) {
+        return { error: `Answer must be one of: ${question.options.join(', ')}` };
+      }
+      return { value: answer };
+
+    case 'multiple_choice': {
+      const selected = Array.isArray(answer) ? answer : [answer];
+      const invalid = selected.filter(option => !question.options.includes(option));
+      if (invalid.length > 0) {
+        return { error: `Unknown options: ${invalid.join(', ')}` };
+      }
+      return { value: [...new Set(selected)] };
+    }
+
+    case 'number': {
+      const number = typeof answer === 'number' ? answer : Number(String(answer).trim());
+      if (String(answer).trim() === '' || !Number.isFinite(number)) {
+        return { error: 'Answer must be a number' };
+      }
+      return { value: number };
+    }
+
+    default:
+      return { error: 'Unsupported question type' };
+  }
+};
+
+// Whether a valid answer meets the question's knockout criteria
+const passesKnockout = (question, value) => {
+  if (!question.hasKnockout()) return true;
+
+  const { knockout } = question;
+
+  switch (question.type) {
+    case 'yes_no':
+      return value === knockout.answer;
+    case 'single_choice':
+      return knockout.acceptedOptions.includes(value);
+    case 'multiple_choice':
+      return value.some(option => knockout.acceptedOptions.includes(option));
+    case 'number':
+      return (knockout.min === null || value >= knockout.min) &&
+        (knockout.max === null || value <= knockout.max);
+    default:
+      return true;
+  }
+};
+
+// Returns `{ answers, errors, knockedOutBy }`: the answers to store on the
+// application, validation errors in the same shape as request validation,
+// and the questions whose knockout criteria were not met.
+const evaluateScreeningAnswers = (questions, rawAnswers) => {
+  const errors = [];
+  const answers = [];
+  const knockedOutBy = [];
+
+  let provided;
+  try {
+    provided = parseAnswers(rawAnswers);
+  } catch (error) {
+    return {
+      answers,
+      errors: [{ field: 'customAnswers', message: 'Answers must be valid JSON', value: rawAnswers }],
+      knockedOutBy
+    };
+  }
+
+  const questionIds = questions.map(question => question._id.toString());
+  Object.keys(provided).forEach(questionId => {
+    if (!questionIds.includes(questionId)) {
+      errors.push({ field: `customAnswers.${questionId}`, message: 'Unknown screening question', value: provided[questionId] });
+    }
+  });
+
+  questions.forEach(question => {
+    const questionId = question._id.toString();
+    const answer = provided[questionId];
+    const field = `customAnswers.${questionId}`;
+
+    if (isBlank(answer)) {
+      // Knockout questions saved before they were forced to be required
+      // still need an answer
+      if (question.required || question.hasKnockout()) {
+        errors.push({ field, message: `An answer to "${question.question}" is required`, value: answer });
+      }
+      return;
+    }
+
+    const { value, error } = normalizeAnswer(question, answer);
+    if (error) {
+      errors.push({ field, message: error, value: answer });
+      return;
+    }
+
+    answers.push({
+      questionId: question._id,
+      question: question.question,
+      type: question.type,
+      answer: value,
+      required: question.required
+    });
+
+    if (!passesKnockout(question, value)) {
+      knockedOutBy.push(question);
+    }
+  });
+
+  return { answers, errors, knockedOutBy };
+};
+
+// Knockout criteria are only for the hiring team
+const hideKnockoutCriteria = (job) => {
+  const data = job.toJSON();
+  (data.screeningQuestions || []).forEach(question => delete question.knockout);
+  return data;
+};
+
+module.exports = {
+  evaluateScreeningAnswers,
+  hideKnockoutCriteria
+};
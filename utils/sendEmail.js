@@ -0,0 +1,78 @@
+const nodemailer = require('nodemailer');
+const path = require('path');
+const fs = require('fs');
+
+let transporter = null;
+
+// Ensure the outbox directory exists
+const ensureDirectoryExists = (dirPath) => {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+};
+
+// Directory used by the JSON transport to keep a copy of every message
+const getOutboxPath = () => {
+  return path.resolve(process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '../tmp/emails'));
+};
+
+// Create the transport once. SMTP is used when EMAIL_HOST is configured,
+// otherwise messages are rendered as JSON and written to the outbox directory
+// so local runs never need a mail server.
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  const useSmtp = process.env.EMAIL_TRANSPORT
+    ? process.env.EMAIL_TRANSPORT === 'smtp'
+    : !!process.env.EMAIL_HOST;
+
+  if (useSmtp) {
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: parseInt(process.env.EMAIL_PORT) || 587,
+      secure: parseInt(process.env.EMAIL_PORT) === 465,
+      auth: process.env.EMAIL_USER ? {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      } : undefined
+    });
+  } else {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return transporter;
+};
+
+// Persist a JSON-transport message to the outbox
+const writeToOutbox = (info) => {
+  const outbox = getOutboxPath();
+  ensureDirectoryExists(outbox);
+
+  const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+  const filePath = path.join(outbox, filename);
+  fs.writeFileSync(filePath, info.message);
+
+  console.log(`📧 Email written to ${filePath}`);
+  return filePath;
+};
+
+// Send an email
+const sendEmail = async ({ to, subject, text, html }) => {
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'Recruitment System <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  const info = await getTransporter().sendMail(mailOptions);
+
+  if (typeof info.message === 'string') {
+    writeToOutbox(info);
+  }
+
+  return info;
+};
+
+module.exports = sendEmail;
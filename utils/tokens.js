@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+// Generate a random URL-safe token
+const generateToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Hash a token for storage. Raw tokens are only ever sent to the user.
+const hashToken = (token) => {
+  return crypto
+    .createHash('sha256')
+    .update(String(token))
+    .digest('hex');
+};
+
+module.exports = {
+  generateToken,
+  hashToken
+};
@@ -0,0 +1,48 @@
+// Turn a User-Agent header into a short label for session listings, e.g.
+// "Chrome on macOS". Only common browsers and systems are recognised; the
+// raw header is always kept alongside.
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\/[\d.]+/],
+  ['Opera', /OPR\/[\d.]+|Opera/],
+  ['Samsung Internet', /SamsungBrowser\/[\d.]+/],
+  ['Firefox', /Firefox\/[\d.]+|FxiOS\/[\d.]+/],
+  ['Chrome', /Chrome\/[\d.]+|CriOS\/[\d.]+/],
+  ['Safari', /Version\/[\d.]+.*Safari\//],
+  ['Postman', /PostmanRuntime/],
+  ['curl', /^curl\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => {
+  const found = list.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return { browser: null, os: null, mobile: false, label: 'Unknown device' };
+  }
+
+  const browser = match(BROWSERS, userAgent);
+  const os = match(OPERATING_SYSTEMS, userAgent);
+  const mobile = /Mobile|iPhone|Android/.test(userAgent);
+
+  let label = 'Unknown device';
+  if (browser && os) label = `${browser} on ${os}`;
+  else if (browser || os) label = browser || os;
+
+  return { browser, os, mobile, label };
+};
+
+module.exports = {
+  describeUserAgent
+};